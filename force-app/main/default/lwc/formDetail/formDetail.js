@@ -3,12 +3,37 @@ import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import getFormWithFields from '@salesforce/apex/FormAdminController.getFormWithFields';
 import getPicklistValues from '@salesforce/apex/FormAdminController.getPicklistValues';
 import isFormNameAvailable from '@salesforce/apex/FormAdminController.isFormNameAvailable';
+import checkAllowedDomains from '@salesforce/apex/FormAdminController.checkAllowedDomains';
+import getRateLimitUsage from '@salesforce/apex/FormAdminController.getRateLimitUsage';
+import getBlockedClients from '@salesforce/apex/FormAdminController.getBlockedClients';
+import unblockClient from '@salesforce/apex/FormAdminController.unblockClient';
 import saveForm from '@salesforce/apex/FormAdminController.saveForm';
 import saveFields from '@salesforce/apex/FormAdminController.saveFields';
+import saveWebhooks from '@salesforce/apex/FormAdminController.saveWebhooks';
 import getActiveSites from '@salesforce/apex/FormAdminController.getActiveSites';
 import getDefaultSiteInfo from '@salesforce/apex/FormAdminController.getDefaultSiteInfo';
 import getCaseFieldsForDefaults from '@salesforce/apex/FormAdminController.getCaseFieldsForDefaults';
 
+// Field types that render a list of options (Form_Field__c.Options__c or Case picklist values)
+const CHOICE_FIELD_TYPES = ['Picklist', 'Radio', 'MultiSelect'];
+
+// Condition operators that don't compare against a value
+const VALUELESS_OPERATORS = ['IsBlank', 'IsNotBlank'];
+
+// Field types that accept a validation pattern and length limits (FormFieldValidator.TEXT_RULE_TYPES)
+const TEXT_RULE_FIELD_TYPES = ['Text', 'Textarea', 'Email', 'Phone', 'URL'];
+
+// WebToCaseRateLimiter.DEFAULT_RATE_LIMIT, used when a form has no hourly limit
+const DEFAULT_RATE_LIMIT_PER_HOUR = 100;
+
+// WebToCaseRateLimiter.DEFAULT_CLIENT_RATE_LIMIT and DEFAULT_BLOCK_MINUTES, used when a form has none set
+const DEFAULT_CLIENT_RATE_LIMIT_PER_HOUR = 20;
+const DEFAULT_CLIENT_BLOCK_MINUTES = 60;
+
+// Question keys (CaseFieldMapper.validateQuestionKey): a letter, then letters, digits and single underscores
+const QUESTION_KEY_PATTERN = /^[A-Za-z](?:_?[A-Za-z0-9])*$/;
+const QUESTION_KEY_MAX_LENGTH = 80;
+
 export default class FormDetail extends LightningElement {
     _formId;
     _isConnected = false;
@@ -33,9 +58,30 @@ export default class FormDetail extends LightningElement {
         description: '',
         active: false,
         enableFileUpload: false,
-        maxFileSizeMB: 25, // Fixed: 25MB for images (auto-compressed), 4MB for documents (enforced in frontend)
+        maxFileSizeMB: 10,
+        maxFileCount: 1,
+        maxTotalSizeMB: null,
+        allowedFileTypes: '',
         successMessage: '',
         enableCaptcha: false,
+        enableHoneypot: false,
+        minFillSeconds: null,
+        duplicateWindowMinutes: null,
+        rateLimitPerMinute: null,
+        rateLimitPerHour: null,
+        clientRateLimitPerMinute: null,
+        clientRateLimitPerHour: null,
+        clientBlockMinutes: null,
+        contactMatching: 'None',
+        accountMatching: 'None',
+        runAssignmentRules: false,
+        assignmentRuleId: '',
+        sendAutoResponse: false,
+        sendConfirmationEmail: false,
+        confirmationFromAddressId: null,
+        confirmationEmailSubject: '',
+        confirmationEmailBody: '',
+        postSubmissionFlow: '',
         siteId: null,
         allowedDomains: '',
         publicUrl: null
@@ -51,13 +97,27 @@ export default class FormDetail extends LightningElement {
     @track defaultSiteId = null;
     @track defaultBaseUrl = null;
     @track defaultValues = [];
+    @track webhooks = [];
     @track domainsConfirmed = false;
+    @track allowedDomainsErrors = [];
+    @track testOrigins = '';
+    @track originPreview = [];
+    @track rateLimitUsage = [];
+    @track blockedClients = [];
     @track activeEmbedTab = 'widget';
     defaultFieldInfoMap = {};
     defaultFieldOptions = [];
 
     fieldTypeOptions = [];
     caseFieldOptions = [];
+    conditionOperatorOptions = [];
+    conditionActionOptions = [];
+    contactMatchingOptions = [];
+    accountMatchingOptions = [];
+    assignmentRuleOptions = [];
+    fromAddressOptions = [];
+    webhookEventOptions = [];
+    flowOptions = [];
 
     @wire(getPicklistValues)
     wiredPicklistValues({ data, error }) {
@@ -66,10 +126,51 @@ export default class FormDetail extends LightningElement {
                 label: opt.label,
                 value: opt.value
             }));
-            this.caseFieldOptions = data.caseFields.map(opt => ({
+            this.caseFieldOptions = [
+                { label: '-- Question only (added to Description) --', value: '' },
+                ...data.caseFields.map(opt => ({
+                    label: opt.label,
+                    value: opt.value
+                }))
+            ];
+            this.conditionOperatorOptions = data.conditionOperators.map(opt => ({
+                label: opt.label,
+                value: opt.value
+            }));
+            this.conditionActionOptions = data.conditionActions.map(opt => ({
+                label: opt.label,
+                value: opt.value
+            }));
+            this.contactMatchingOptions = data.contactMatchings.map(opt => ({
+                label: opt.label,
+                value: opt.value
+            }));
+            this.accountMatchingOptions = data.accountMatchings.map(opt => ({
+                label: opt.label,
+                value: opt.value
+            }));
+            this.assignmentRuleOptions = [
+                { label: 'Active assignment rule', value: '' },
+                ...data.assignmentRules.map(opt => ({
+                    label: opt.label,
+                    value: opt.value
+                }))
+            ];
+            this.fromAddressOptions = data.orgWideEmailAddresses.map(opt => ({
+                label: opt.label,
+                value: opt.value
+            }));
+            this.webhookEventOptions = data.webhookEvents.map(opt => ({
                 label: opt.label,
                 value: opt.value
             }));
+            this.flowOptions = [
+                { label: 'None', value: '' },
+                ...data.postSubmissionFlows.map(opt => ({
+                    label: opt.label,
+                    value: opt.value
+                }))
+            ];
         } else if (error) {
             this.showToast('Error', 'Failed to load picklist values', 'error');
         }
@@ -129,9 +230,30 @@ export default class FormDetail extends LightningElement {
                         description: result.description || '',
                         active: result.active || false,
                         enableFileUpload: result.enableFileUpload || false,
-                        maxFileSizeMB: 25, // Fixed: 25MB for images, 4MB for documents (enforced in frontend)
+                        maxFileSizeMB: result.maxFileSizeMB || 10,
+                        maxFileCount: result.maxFileCount || 1,
+                        maxTotalSizeMB: result.maxTotalSizeMB || null,
+                        allowedFileTypes: result.allowedFileTypes || '',
                         successMessage: result.successMessage || '',
                         enableCaptcha: result.enableCaptcha || false,
+                        enableHoneypot: result.enableHoneypot || false,
+                        minFillSeconds: result.minFillSeconds || null,
+                        duplicateWindowMinutes: result.duplicateWindowMinutes || null,
+                        rateLimitPerMinute: result.rateLimitPerMinute || null,
+                        rateLimitPerHour: result.rateLimitPerHour || null,
+                        clientRateLimitPerMinute: result.clientRateLimitPerMinute || null,
+                        clientRateLimitPerHour: result.clientRateLimitPerHour || null,
+                        clientBlockMinutes: result.clientBlockMinutes || null,
+                        contactMatching: result.contactMatching || 'None',
+                        accountMatching: result.accountMatching || 'None',
+                        runAssignmentRules: result.runAssignmentRules || false,
+                        assignmentRuleId: result.assignmentRuleId || '',
+                        sendAutoResponse: result.sendAutoResponse || false,
+                        sendConfirmationEmail: result.sendConfirmationEmail || false,
+                        confirmationFromAddressId: result.confirmationFromAddressId || null,
+                        confirmationEmailSubject: result.confirmationEmailSubject || '',
+                        confirmationEmailBody: result.confirmationEmailBody || '',
+                        postSubmissionFlow: result.postSubmissionFlow || '',
                         siteId: result.siteId || null,
                         allowedDomains: result.allowedDomains || '',
                         publicUrl: result.publicUrl || null
@@ -156,8 +278,16 @@ export default class FormDetail extends LightningElement {
                     } else {
                         this.defaultValues = [];
                     }
+                    this.webhooks = (result.webhooks || []).map((w, index) => ({
+                        ...w,
+                        events: [...(w.events || [])],
+                        secret: '',
+                        tempId: `webhook-${index}`
+                    }));
                     this.hasUnsavedChanges = false;
                     this.domainsConfirmed = !!(this.form.allowedDomains && this.form.allowedDomains.trim());
+                    this.loadRateLimitUsage();
+                    this.loadBlockedClients();
                 })
                 .catch(error => {
                     this.showToast('Error', this.getErrorMessage(error), 'error');
@@ -174,15 +304,37 @@ export default class FormDetail extends LightningElement {
                 description: '',
                 active: false,
                 enableFileUpload: false,
-                maxFileSizeMB: 25, // Fixed: 25MB for images, 4MB for documents (enforced in frontend)
+                maxFileSizeMB: 10,
+                maxFileCount: 1,
+                maxTotalSizeMB: null,
+                allowedFileTypes: '',
                 successMessage: '',
                 enableCaptcha: false,
+                enableHoneypot: false,
+                minFillSeconds: null,
+                duplicateWindowMinutes: null,
+                rateLimitPerMinute: null,
+                rateLimitPerHour: null,
+                clientRateLimitPerMinute: null,
+                clientRateLimitPerHour: null,
+                clientBlockMinutes: null,
+                contactMatching: 'None',
+                accountMatching: 'None',
+                runAssignmentRules: false,
+                assignmentRuleId: '',
+                sendAutoResponse: false,
+                sendConfirmationEmail: false,
+                confirmationFromAddressId: null,
+                confirmationEmailSubject: '',
+                confirmationEmailBody: '',
+                postSubmissionFlow: '',
                 siteId: null,
                 allowedDomains: '',
                 publicUrl: null
             };
             this.fields = [];
             this.defaultValues = [];
+            this.webhooks = [];
             this.isLoading = false;
             this.hasUnsavedChanges = false;
             this.domainsConfirmed = false;
@@ -193,7 +345,7 @@ export default class FormDetail extends LightningElement {
         return !this.formId;
     }
 
-    activeSections = ['settings', 'fields', 'defaults', 'embed'];
+    activeSections = ['settings', 'fields', 'defaults', 'webhooks', 'embed'];
 
     get pageTitle() {
         return this.isNewForm ? 'New Form' : 'Edit Form';
@@ -210,11 +362,23 @@ export default class FormDetail extends LightningElement {
             isFirst: index === 0,
             isLast: index === this.fields.length - 1,
             isExpanded: this.expandedFieldIndex === index,
+            isChoiceType: CHOICE_FIELD_TYPES.includes(field.fieldType),
+            supportsTextRules: TEXT_RULE_FIELD_TYPES.includes(field.fieldType),
+            isNumberType: field.fieldType === 'Number',
+            isQuestionOnly: !field.caseField,
+            hasCondition: !!field.dependsOnField,
+            needsConditionValue: !!field.dependsOnField && !VALUELESS_OPERATORS.includes(field.conditionOperator),
+            dependsOnOptions: this.getDependsOnOptions(index),
+            showPageBadge: this.isMultiPage,
             displayIndex: index + 1,
             chevronIcon: this.expandedFieldIndex === index ? 'utility:chevrondown' : 'utility:chevronright'
         }));
     }
 
+    get isMultiPage() {
+        return this.getPageGroups().length > 1;
+    }
+
     get canSave() {
         return this.form.formName && this.form.title && !this.formNameError;
     }
@@ -303,6 +467,29 @@ export default class FormDetail extends LightningElement {
         this.hasUnsavedChanges = true;
     }
 
+    handleMaxFileSizeChange(event) {
+        const size = parseInt(event.target.value, 10);
+        this.form.maxFileSizeMB = isNaN(size) ? null : size;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleMaxFileCountChange(event) {
+        const count = parseInt(event.target.value, 10);
+        this.form.maxFileCount = isNaN(count) ? null : count;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleMaxTotalSizeChange(event) {
+        const size = parseInt(event.target.value, 10);
+        this.form.maxTotalSizeMB = isNaN(size) ? null : size;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleAllowedFileTypesChange(event) {
+        this.form.allowedFileTypes = event.target.value;
+        this.hasUnsavedChanges = true;
+    }
+
     // v1 MVP: set to true for v2
     get showCaptchaToggle() { return false; }
 
@@ -311,6 +498,172 @@ export default class FormDetail extends LightningElement {
         this.hasUnsavedChanges = true;
     }
 
+    handleHoneypotChange(event) {
+        this.form.enableHoneypot = event.target.checked;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleMinFillSecondsChange(event) {
+        const seconds = parseInt(event.target.value, 10);
+        this.form.minFillSeconds = isNaN(seconds) ? null : seconds;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleContactMatchingChange(event) {
+        this.form.contactMatching = event.detail.value;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleAccountMatchingChange(event) {
+        this.form.accountMatching = event.detail.value;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleRunAssignmentRulesChange(event) {
+        this.form.runAssignmentRules = event.target.checked;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleAssignmentRuleChange(event) {
+        this.form.assignmentRuleId = event.detail.value;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleSendAutoResponseChange(event) {
+        this.form.sendAutoResponse = event.target.checked;
+        this.hasUnsavedChanges = true;
+    }
+
+    get hasFromAddresses() {
+        return this.fromAddressOptions.length > 0;
+    }
+
+    handleSendConfirmationEmailChange(event) {
+        this.form.sendConfirmationEmail = event.target.checked;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleConfirmationFromAddressChange(event) {
+        this.form.confirmationFromAddressId = event.detail.value;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleConfirmationEmailSubjectChange(event) {
+        this.form.confirmationEmailSubject = event.target.value;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleConfirmationEmailBodyChange(event) {
+        this.form.confirmationEmailBody = event.target.value;
+        this.hasUnsavedChanges = true;
+    }
+
+    handlePostSubmissionFlowChange(event) {
+        this.form.postSubmissionFlow = event.detail.value;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleDuplicateWindowChange(event) {
+        const minutes = parseInt(event.target.value, 10);
+        this.form.duplicateWindowMinutes = isNaN(minutes) ? null : minutes;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleRateLimitPerMinuteChange(event) {
+        const limit = parseInt(event.target.value, 10);
+        this.form.rateLimitPerMinute = isNaN(limit) ? null : limit;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleRateLimitPerHourChange(event) {
+        const limit = parseInt(event.target.value, 10);
+        this.form.rateLimitPerHour = isNaN(limit) ? null : limit;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleClientRateLimitPerMinuteChange(event) {
+        const limit = parseInt(event.target.value, 10);
+        this.form.clientRateLimitPerMinute = isNaN(limit) ? null : limit;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleClientRateLimitPerHourChange(event) {
+        const limit = parseInt(event.target.value, 10);
+        this.form.clientRateLimitPerHour = isNaN(limit) ? null : limit;
+        this.hasUnsavedChanges = true;
+    }
+
+    handleClientBlockMinutesChange(event) {
+        const minutes = parseInt(event.target.value, 10);
+        this.form.clientBlockMinutes = isNaN(minutes) ? null : minutes;
+        this.hasUnsavedChanges = true;
+    }
+
+    loadRateLimitUsage() {
+        if (!this.form.id) {
+            return;
+        }
+        getRateLimitUsage({ formId: this.form.id })
+            .then(result => {
+                this.rateLimitUsage = result.map((usage, index) => ({ ...usage, key: `usage-${index}` }));
+            })
+            .catch(error => {
+                this.showToast('Error', this.getErrorMessage(error), 'error');
+            });
+    }
+
+    handleRefreshRateLimitUsage() {
+        this.loadRateLimitUsage();
+        this.loadBlockedClients();
+    }
+
+    loadBlockedClients() {
+        if (!this.form.id) {
+            return;
+        }
+        getBlockedClients({ formId: this.form.id })
+            .then(result => {
+                this.blockedClients = result.map(block => ({ ...block }));
+            })
+            .catch(error => {
+                this.showToast('Error', this.getErrorMessage(error), 'error');
+            });
+    }
+
+    handleUnblockClient(event) {
+        const blockId = event.target.dataset.id;
+        unblockClient({ blockId })
+            .then(() => {
+                this.showToast('Success', 'Block lifted', 'success');
+            })
+            .catch(error => {
+                this.showToast('Error', this.getErrorMessage(error), 'error');
+            })
+            .finally(() => {
+                this.loadBlockedClients();
+            });
+    }
+
+    get hasRateLimitUsage() {
+        return this.rateLimitUsage.length > 0;
+    }
+
+    get hasBlockedClients() {
+        return this.blockedClients.length > 0;
+    }
+
+    get rateLimitPerHourPlaceholder() {
+        return String(DEFAULT_RATE_LIMIT_PER_HOUR);
+    }
+
+    get clientRateLimitPerHourPlaceholder() {
+        return String(DEFAULT_CLIENT_RATE_LIMIT_PER_HOUR);
+    }
+
+    get clientBlockMinutesPlaceholder() {
+        return String(DEFAULT_CLIENT_BLOCK_MINUTES);
+    }
+
     handleSiteChange(event) {
         this.form.siteId = event.detail.value || null;
         // Clear the saved publicUrl so the computed one is used
@@ -332,14 +685,45 @@ export default class FormDetail extends LightningElement {
     handleAllowedDomainsChange(event) {
         this.form.allowedDomains = event.target.value;
         this.hasUnsavedChanges = true;
+        this.checkAllowedDomains();
+    }
+
+    handleTestOriginsChange(event) {
+        this.testOrigins = event.target.value;
+        this.checkAllowedDomains();
+    }
+
+    // Entries are checked by the same Apex that checks embed requests, so the preview matches what the API does
+    checkAllowedDomains() {
+        checkAllowedDomains({ allowedDomains: this.form.allowedDomains, testOrigins: this.testOrigins })
+            .then(result => {
+                this.allowedDomainsErrors = result.errors;
+                this.originPreview = result.origins.map((preview, index) => ({
+                    ...preview,
+                    key: `origin-${index}`,
+                    iconName: preview.allowed ? 'utility:success' : 'utility:ban',
+                    iconVariant: preview.allowed ? 'success' : 'error'
+                }));
+            })
+            .catch(() => {
+                // Ignore validation errors; saving checks the entries again
+            });
     }
 
     handleConfirmDomains() {
-        if (this.form.allowedDomains && this.form.allowedDomains.trim().length > 0) {
+        if (this.form.allowedDomains && this.form.allowedDomains.trim().length > 0 && !this.hasAllowedDomainsErrors) {
             this.domainsConfirmed = true;
         }
     }
 
+    get hasAllowedDomainsErrors() {
+        return this.allowedDomainsErrors.length > 0;
+    }
+
+    get hasOriginPreview() {
+        return this.originPreview.length > 0;
+    }
+
     get hasAllowedDomains() {
         return this.form.allowedDomains && this.form.allowedDomains.trim().length > 0;
     }
@@ -349,7 +733,7 @@ export default class FormDetail extends LightningElement {
     }
 
     get confirmDomainsDisabled() {
-        return !this.hasAllowedDomains;
+        return !this.hasAllowedDomains || this.hasAllowedDomainsErrors;
     }
 
     handleEmbedTabClick(event) {
@@ -450,6 +834,69 @@ export default class FormDetail extends LightningElement {
         this.hasUnsavedChanges = true;
     }
 
+    // Webhook getters and handlers
+    get hasWebhooks() {
+        return this.webhooks && this.webhooks.length > 0;
+    }
+
+    get webhooksWithIndex() {
+        return this.webhooks.map((w, index) => ({
+            ...w,
+            index,
+            secretPlaceholder: w.hasSecret ? 'Leave blank to keep the saved secret' : 'Shared secret for signing requests'
+        }));
+    }
+
+    handleAddWebhook() {
+        this.webhooks = [
+            ...this.webhooks,
+            {
+                id: null,
+                endpointUrl: '',
+                events: this.webhookEventOptions.map(opt => opt.value),
+                active: true,
+                hasSecret: false,
+                secret: '',
+                tempId: `webhook-new-${Date.now()}`
+            }
+        ];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleWebhookUrlChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        this.webhooks[index].endpointUrl = event.target.value;
+        this.webhooks = [...this.webhooks];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleWebhookSecretChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        this.webhooks[index].secret = event.target.value;
+        this.webhooks = [...this.webhooks];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleWebhookEventsChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        this.webhooks[index].events = [...event.detail.value];
+        this.webhooks = [...this.webhooks];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleWebhookActiveChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        this.webhooks[index].active = event.target.checked;
+        this.webhooks = [...this.webhooks];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleRemoveWebhook(event) {
+        const index = parseInt(event.currentTarget.dataset.index, 10);
+        this.webhooks = this.webhooks.filter((_, i) => i !== index);
+        this.hasUnsavedChanges = true;
+    }
+
     get embedApiBase() {
         const baseUrl = this.resolvedBaseUrl;
         if (!baseUrl) return '';
@@ -589,33 +1036,76 @@ export default class FormDetail extends LightningElement {
         const captchaId = `${formId}-captcha`;
         const errorId = `${formId}-error`;
         const successId = `${formId}-success`;
+        const multiPage = this.isMultiPage;
+        const indent = multiPage ? '    ' : '  ';
         let html = `<form id="${formId}">\n`;
 
-        if (this.fields && this.fields.length > 0) {
-            for (const field of this.fields) {
+        if (multiPage) {
+            html += `  <p data-wtc-step-label></p>\n`;
+            html += `  <progress data-wtc-progress></progress>\n`;
+        }
+
+        for (const group of this.getPageGroups()) {
+            if (multiPage) {
+                html += `  <fieldset data-wtc-page="${group.page}">\n`;
+            }
+            for (const field of group.fields) {
                 const label = field.fieldLabel || 'Field';
-                const name = field.caseField || 'Subject';
+                const name = this.getFieldName(field) || 'Subject';
                 const inputId = `${formId}-${name}`;
-                const req = field.required ? ' required' : '';
-                html += `  <div>\n`;
-                html += `    <label for="${inputId}">${label}${field.required ? ' *' : ''}</label>\n`;
+                // Conditional fields and fields on other steps may be hidden, so leave "required" to the widget
+                const req = field.required && !field.dependsOnField && !multiPage ? ' required' : '';
+                html += field.dependsOnField ? `${indent}<div data-wtc-field="${name}">\n` : `${indent}<div>\n`;
+                html += `${indent}  <label for="${inputId}">${label}${field.required ? ' *' : ''}</label>\n`;
+                const options = (field.options || '').split('\n').map(o => o.trim()).filter(o => o);
                 if (field.fieldType === 'Textarea') {
-                    html += `    <textarea id="${inputId}" name="${name}"${req}></textarea>\n`;
+                    html += `${indent}  <textarea id="${inputId}" name="${name}"${req}></textarea>\n`;
                 } else if (field.fieldType === 'Email') {
-                    html += `    <input type="email" id="${inputId}" name="${name}"${req} />\n`;
+                    html += `${indent}  <input type="email" id="${inputId}" name="${name}"${req} />\n`;
                 } else if (field.fieldType === 'Phone') {
-                    html += `    <input type="tel" id="${inputId}" name="${name}"${req} />\n`;
+                    html += `${indent}  <input type="tel" id="${inputId}" name="${name}"${req} />\n`;
+                } else if (field.fieldType === 'Date') {
+                    html += `${indent}  <input type="date" id="${inputId}" name="${name}"${req} />\n`;
+                } else if (field.fieldType === 'Number') {
+                    html += `${indent}  <input type="number" step="any" id="${inputId}" name="${name}"${req} />\n`;
+                } else if (field.fieldType === 'URL') {
+                    html += `${indent}  <input type="url" id="${inputId}" name="${name}"${req} />\n`;
+                } else if (field.fieldType === 'Checkbox') {
+                    html += `${indent}  <input type="checkbox" id="${inputId}" name="${name}" value="true"${req} />\n`;
+                } else if (field.fieldType === 'Picklist') {
+                    html += `${indent}  <select id="${inputId}" name="${name}"${req}>\n`;
+                    html += `${indent}    <option value="">-- Select --</option>\n`;
+                    for (const opt of options) {
+                        html += `${indent}    <option value="${opt}">${opt}</option>\n`;
+                    }
+                    html += `${indent}  </select>\n`;
+                } else if (field.fieldType === 'Radio' || field.fieldType === 'MultiSelect') {
+                    const inputType = field.fieldType === 'Radio' ? 'radio' : 'checkbox';
+                    for (const opt of options) {
+                        html += `${indent}  <label><input type="${inputType}" name="${name}" value="${opt}" /> ${opt}</label>\n`;
+                    }
+                    if (options.length === 0) {
+                        html += `${indent}  <!-- Add one ${inputType} per value of the ${name} picklist -->\n`;
+                    }
                 } else {
-                    html += `    <input type="text" id="${inputId}" name="${name}"${req} />\n`;
+                    html += `${indent}  <input type="text" id="${inputId}" name="${name}"${req} />\n`;
                 }
-                html += `  </div>\n`;
+                html += `${indent}</div>\n`;
+            }
+            if (multiPage) {
+                html += `  </fieldset>\n`;
             }
         }
 
+        // On multi-step forms, data-wtc-final-step elements only show on the last step
+        const finalStep = multiPage ? ' data-wtc-final-step' : '';
         if (this.form.enableFileUpload) {
-            html += `  <div>\n`;
+            html += `  <div${finalStep}>\n`;
             html += `    <label for="${fileInputId}">Attachment</label>\n`;
-            html += `    <input type="file" id="${fileInputId}" />\n`;
+            const multiple = this.form.maxFileCount > 1 ? ' multiple' : '';
+            const accept = this.form.allowedFileTypes ? ` accept="${this.form.allowedFileTypes}"` : '';
+            html += `    <input type="file" id="${fileInputId}"${accept}${multiple} />\n`;
+            html += `    <ul data-wtc-file-list></ul>\n`;
             html += `  </div>\n`;
         }
 
@@ -624,11 +1114,18 @@ export default class FormDetail extends LightningElement {
         }
 
         html += `  <div id="${errorId}" hidden></div>\n`;
+        if (multiPage) {
+            html += `  <button type="button" data-wtc-back>Back</button>\n`;
+            html += `  <button type="button" data-wtc-next>Next</button>\n`;
+        }
         html += `  <button type="submit">Submit</button>\n`;
         html += `</form>\n\n`;
         html += `<div id="${successId}" hidden>\n`;
         html += `  <p>Your request has been submitted successfully.</p>\n`;
         html += `  <p>Reference: <span data-wtc-case-number></span></p>\n`;
+        if (this.form.enableFileUpload) {
+            html += `  <ul data-wtc-file-summary hidden></ul>\n`;
+        }
         html += `</div>`;
 
         return html;
@@ -654,6 +1151,7 @@ export default class FormDetail extends LightningElement {
     font-weight: 500;
   }
   #${formId} input,
+  #${formId} select,
   #${formId} textarea {
     width: 100%;
     padding: 8px 12px;
@@ -662,6 +1160,11 @@ export default class FormDetail extends LightningElement {
     font-size: 1rem;
     box-sizing: border-box;
   }
+  #${formId} input[type="checkbox"],
+  #${formId} input[type="radio"] {
+    width: auto;
+    margin-right: 6px;
+  }
   #${formId} textarea {
     min-height: 100px;
     resize: vertical;
@@ -669,7 +1172,28 @@ export default class FormDetail extends LightningElement {
   #${formId} [aria-invalid="true"] {
     border-color: #c23934;
   }
-  #${formId} button[type="submit"] {
+  #${formId} fieldset {
+    display: flex;
+    flex-direction: column;
+    gap: 16px;
+    margin: 0;
+    padding: 0;
+    border: none;
+  }
+  #${formId} progress {
+    width: 100%;
+  }
+  #${formId} button[data-wtc-back] {
+    padding: 10px 24px;
+    background: #fff;
+    color: #0176d3;
+    border: 1px solid #0176d3;
+    border-radius: 4px;
+    font-size: 1rem;
+    cursor: pointer;
+  }
+  #${formId} button[type="submit"],
+  #${formId} button[data-wtc-next] {
     padding: 10px 24px;
     background: #0176d3;
     color: #fff;
@@ -678,6 +1202,32 @@ export default class FormDetail extends LightningElement {
     font-size: 1rem;
     cursor: pointer;
   }
+  #${formId} [data-wtc-file-list],
+  #${successId} [data-wtc-file-summary] {
+    list-style: none;
+    margin: 0;
+    padding: 0;
+    text-align: left;
+  }
+  #${formId} [data-wtc-file-status],
+  #${successId} [data-wtc-file-status] {
+    display: flex;
+    gap: 8px;
+    padding: 6px 0;
+    font-size: 0.875rem;
+  }
+  [data-wtc-file-status] .wtc-file-name {
+    flex: 1;
+  }
+  [data-wtc-file-status="error"] .wtc-file-detail {
+    color: #c23934;
+  }
+  #${formId} .wtc-file-remove {
+    padding: 0 6px;
+    background: none;
+    border: none;
+    cursor: pointer;
+  }
   #${errorId} {
     padding: 12px;
     background: #f8d7da;
@@ -799,6 +1349,8 @@ ${opts}
             caseField: 'Subject',
             required: false,
             sortOrder: this.fields.length + 1,
+            // New fields go on the same page as the last field
+            pageNumber: this.fields.length > 0 ? this.fields[this.fields.length - 1].pageNumber || 1 : 1,
             expanded: true
         };
         this.fields = [...this.fields, newField];
@@ -831,7 +1383,147 @@ ${opts}
 
     handleCaseFieldChange(event) {
         const index = parseInt(event.target.dataset.index, 10);
-        this.fields[index].caseField = event.target.value;
+        const field = this.fields[index];
+        const previous = this.getFieldName(field);
+        field.caseField = event.target.value || null;
+        if (!field.caseField && !field.questionKey) {
+            field.questionKey = this.toQuestionKey(field.fieldLabel);
+        }
+        this.renameDependencies(previous, this.getFieldName(field));
+        this.fields = [...this.fields];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleQuestionKeyChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const field = this.fields[index];
+        const previous = this.getFieldName(field);
+        field.questionKey = event.target.value;
+        this.renameDependencies(previous, this.getFieldName(field));
+        this.fields = [...this.fields];
+        this.hasUnsavedChanges = true;
+    }
+
+    // Keep conditions that pointed at a field attached to it when its name changes
+    renameDependencies(previous, name) {
+        this.fields.forEach(other => {
+            if (previous && other.dependsOnField === previous) {
+                other.dependsOnField = name;
+            }
+        });
+    }
+
+    // Name a field's value is submitted under: its Case field, or its question key
+    getFieldName(field) {
+        return field.caseField || field.questionKey || null;
+    }
+
+    // Mirrors CaseFieldMapper.toQuestionKey: "How did you hear about us?" becomes How_did_you_hear_about_us
+    toQuestionKey(label) {
+        let key = (label || '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+        if (key.length > QUESTION_KEY_MAX_LENGTH - 2) {
+            key = key.substring(0, QUESTION_KEY_MAX_LENGTH - 2).replace(/_+$/, '');
+        }
+        if (!key) {
+            return 'Question';
+        }
+        const lower = key.toLowerCase();
+        if (!/^[A-Za-z]/.test(key) || this.caseFieldOptions.some(opt => opt.value && opt.value.toLowerCase() === lower)) {
+            key = 'Q_' + key;
+        }
+        return key;
+    }
+
+    getDependsOnOptions(index) {
+        const options = [{ label: '-- Always show --', value: '' }];
+        this.fields.forEach((other, i) => {
+            const name = this.getFieldName(other);
+            if (i !== index && name) {
+                options.push({
+                    label: (other.fieldLabel || name) + ' (' + name + ')',
+                    value: name
+                });
+            }
+        });
+        return options;
+    }
+
+    handleDependsOnChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const field = this.fields[index];
+        field.dependsOnField = event.target.value || null;
+        if (!field.dependsOnField) {
+            field.conditionOperator = null;
+            field.conditionValue = null;
+            field.conditionAction = null;
+        } else {
+            field.conditionOperator = field.conditionOperator || 'Equals';
+            field.conditionAction = field.conditionAction || 'Show';
+        }
+        this.fields = [...this.fields];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleConditionOperatorChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        this.fields[index].conditionOperator = event.target.value;
+        this.fields = [...this.fields];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleConditionValueChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        this.fields[index].conditionValue = event.target.value;
+        this.fields = [...this.fields];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleConditionActionChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        this.fields[index].conditionAction = event.target.value;
+        this.fields = [...this.fields];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleFieldOptionsChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        this.fields[index].options = event.target.value;
+        this.fields = [...this.fields];
+        this.hasUnsavedChanges = true;
+    }
+
+    handleFieldPageChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const page = parseInt(event.target.value, 10);
+        this.fields[index].pageNumber = isNaN(page) ? null : page;
+        this.fields = [...this.fields];
+        this.hasUnsavedChanges = true;
+    }
+
+    /**
+     * Fields grouped by page number, in page order (fields keep their sort order within a page)
+     */
+    getPageGroups() {
+        const groups = new Map();
+        for (const field of this.fields || []) {
+            const page = field.pageNumber || 1;
+            if (!groups.has(page)) {
+                groups.set(page, []);
+            }
+            groups.get(page).push(field);
+        }
+        return [...groups.keys()].sort((a, b) => a - b).map(page => ({ page, fields: groups.get(page) }));
+    }
+
+    handleFieldValidationChange(event) {
+        const index = parseInt(event.target.dataset.index, 10);
+        const prop = event.target.dataset.prop;
+        const value = event.target.value;
+        if (event.target.type === 'number') {
+            this.fields[index][prop] = value === '' || value === null ? null : Number(value);
+        } else {
+            this.fields[index][prop] = value;
+        }
         this.fields = [...this.fields];
         this.hasUnsavedChanges = true;
     }
@@ -877,7 +1569,18 @@ ${opts}
 
     handleDeleteField(event) {
         const index = parseInt(event.currentTarget.dataset.index, 10);
+        const removed = this.fields[index];
         const newFields = this.fields.filter((_, i) => i !== index);
+        // Conditions can't point at a field that no longer exists
+        const removedName = this.getFieldName(removed);
+        newFields.forEach(other => {
+            if (removedName && other.dependsOnField === removedName) {
+                other.dependsOnField = null;
+                other.conditionOperator = null;
+                other.conditionValue = null;
+                other.conditionAction = null;
+            }
+        });
         this.updateSortOrders(newFields);
         this.fields = newFields;
         if (this.expandedFieldIndex === index) {
@@ -894,6 +1597,36 @@ ${opts}
         });
     }
 
+    /**
+     * Check a field's validation rules before saving. The pattern has to work in the
+     * browser as well as in Apex, since both enforce it.
+     */
+    getValidationRuleError(field) {
+        const isSet = (v) => v !== null && v !== undefined && v !== '';
+        if (TEXT_RULE_FIELD_TYPES.includes(field.fieldType)) {
+            if ((isSet(field.minLength) && (!Number.isInteger(field.minLength) || field.minLength < 1)) ||
+                (isSet(field.maxLength) && (!Number.isInteger(field.maxLength) || field.maxLength < 1))) {
+                return `Length limits for field "${field.fieldLabel}" must be whole numbers greater than zero`;
+            }
+            if (isSet(field.minLength) && isSet(field.maxLength) && field.minLength > field.maxLength) {
+                return `Min length for field "${field.fieldLabel}" cannot be greater than its max length`;
+            }
+            if (field.validationPattern) {
+                try {
+                    // eslint-disable-next-line no-new
+                    new RegExp(field.validationPattern);
+                } catch (e) {
+                    return `Validation pattern for field "${field.fieldLabel}" is not a valid regular expression`;
+                }
+            }
+        }
+        if (field.fieldType === 'Number' && isSet(field.minValue) && isSet(field.maxValue) &&
+            field.minValue > field.maxValue) {
+            return `Min value for field "${field.fieldLabel}" cannot be greater than its max value`;
+        }
+        return null;
+    }
+
     // Save and Cancel
     async handleSave() {
         // Validate form
@@ -909,6 +1642,93 @@ ${opts}
             this.showToast('Error', this.formNameError, 'error');
             return;
         }
+        if (this.form.enableFileUpload) {
+            const size = this.form.maxFileSizeMB;
+            if (!Number.isInteger(size) || size < 1 || size > 100) {
+                this.showToast('Error', 'Max File Size must be a whole number of MB from 1 to 100', 'error');
+                return;
+            }
+            const count = this.form.maxFileCount;
+            if (!Number.isInteger(count) || count < 1 || count > 99) {
+                this.showToast('Error', 'Max Files must be a whole number from 1 to 99', 'error');
+                return;
+            }
+            const total = this.form.maxTotalSizeMB;
+            if (total !== null && (!Number.isInteger(total) || total < 1 || total > 9999)) {
+                this.showToast('Error', 'Max Total Size must be a whole number of MB from 1 to 9999', 'error');
+                return;
+            }
+        }
+        const dedupeMinutes = this.form.duplicateWindowMinutes;
+        if (dedupeMinutes !== null && (!Number.isInteger(dedupeMinutes) || dedupeMinutes < 1 || dedupeMinutes > 1440)) {
+            this.showToast('Error', 'Duplicate Window must be a whole number of minutes from 1 to 1440', 'error');
+            return;
+        }
+        const perMinute = this.form.rateLimitPerMinute;
+        const perHour = this.form.rateLimitPerHour;
+        if (perMinute !== null && (!Number.isInteger(perMinute) || perMinute < 1 || perMinute > 10000)) {
+            this.showToast('Error', 'Rate Limit Per Minute must be a whole number from 1 to 10000', 'error');
+            return;
+        }
+        if (perHour !== null && (!Number.isInteger(perHour) || perHour < 1 || perHour > 100000)) {
+            this.showToast('Error', 'Rate Limit Per Hour must be a whole number from 1 to 100000', 'error');
+            return;
+        }
+        const hourLimit = perHour !== null ? perHour : DEFAULT_RATE_LIMIT_PER_HOUR;
+        if (perMinute !== null && perMinute > hourLimit) {
+            this.showToast('Error', `Rate Limit Per Minute cannot be more than the hourly limit of ${hourLimit}`, 'error');
+            return;
+        }
+        const clientPerMinute = this.form.clientRateLimitPerMinute;
+        const clientPerHour = this.form.clientRateLimitPerHour;
+        if (clientPerMinute !== null && (!Number.isInteger(clientPerMinute) || clientPerMinute < 1 || clientPerMinute > 10000)) {
+            this.showToast('Error', 'Client Rate Limit Per Minute must be a whole number from 1 to 10000', 'error');
+            return;
+        }
+        if (clientPerHour !== null && (!Number.isInteger(clientPerHour) || clientPerHour < 1 || clientPerHour > 100000)) {
+            this.showToast('Error', 'Client Rate Limit Per Hour must be a whole number from 1 to 100000', 'error');
+            return;
+        }
+        const clientHourLimit = clientPerHour !== null ? clientPerHour : DEFAULT_CLIENT_RATE_LIMIT_PER_HOUR;
+        if (clientPerMinute !== null && clientPerMinute > clientHourLimit) {
+            this.showToast('Error', `Client Rate Limit Per Minute cannot be more than the hourly client limit of ${clientHourLimit}`, 'error');
+            return;
+        }
+        const blockMinutes = this.form.clientBlockMinutes;
+        if (blockMinutes !== null && (!Number.isInteger(blockMinutes) || blockMinutes < 1 || blockMinutes > 10080)) {
+            this.showToast('Error', 'Client Block Minutes must be a whole number from 1 to 10080 (one week)', 'error');
+            return;
+        }
+        const minFillSeconds = this.form.minFillSeconds;
+        if (minFillSeconds !== null && (!Number.isInteger(minFillSeconds) || minFillSeconds < 1 || minFillSeconds > 600)) {
+            this.showToast('Error', 'Min Fill Seconds must be a whole number from 1 to 600', 'error');
+            return;
+        }
+        if (this.form.sendConfirmationEmail && !this.form.confirmationFromAddressId) {
+            this.showToast('Error', 'Choose a From Address for confirmation emails', 'error');
+            return;
+        }
+
+        if (this.hasAllowedDomainsErrors) {
+            this.showToast('Error', 'Allowed Domains: ' + this.allowedDomainsErrors.join('; '), 'error');
+            return;
+        }
+
+        // Validate webhooks
+        for (const webhook of this.webhooks) {
+            if (!webhook.endpointUrl || !webhook.endpointUrl.trim().toLowerCase().startsWith('https://')) {
+                this.showToast('Error', 'Webhook URLs must start with https://', 'error');
+                return;
+            }
+            if (!webhook.events || webhook.events.length === 0) {
+                this.showToast('Error', `Webhook ${webhook.endpointUrl} must subscribe to at least one event`, 'error');
+                return;
+            }
+            if (!webhook.hasSecret && !webhook.secret) {
+                this.showToast('Error', `Webhook ${webhook.endpointUrl} needs a secret for signing its requests`, 'error');
+                return;
+            }
+        }
 
         // Validate fields
         for (const field of this.fields) {
@@ -921,7 +1741,25 @@ ${opts}
                 return;
             }
             if (!field.caseField) {
-                this.showToast('Error', 'All fields must have a Case Field mapping', 'error');
+                if (!field.questionKey) {
+                    field.questionKey = this.toQuestionKey(field.fieldLabel);
+                }
+                if (field.questionKey.length > QUESTION_KEY_MAX_LENGTH || !QUESTION_KEY_PATTERN.test(field.questionKey)) {
+                    this.showToast('Error', `Question key for field "${field.fieldLabel}" must start with a letter and contain only letters, digits and single underscores`, 'error');
+                    return;
+                }
+            }
+            if (!Number.isInteger(field.pageNumber) || field.pageNumber < 1 || field.pageNumber > 999) {
+                this.showToast('Error', `Page for field "${field.fieldLabel}" must be a whole number from 1 to 999`, 'error');
+                return;
+            }
+            const ruleError = this.getValidationRuleError(field);
+            if (ruleError) {
+                this.showToast('Error', ruleError, 'error');
+                return;
+            }
+            if (field.dependsOnField && !VALUELESS_OPERATORS.includes(field.conditionOperator) && !field.conditionValue) {
+                this.showToast('Error', `Field "${field.fieldLabel}" needs a condition value`, 'error');
                 return;
             }
         }
@@ -947,8 +1785,29 @@ ${opts}
                 active: this.form.active,
                 enableFileUpload: this.form.enableFileUpload,
                 maxFileSizeMB: this.form.maxFileSizeMB,
+                maxFileCount: this.form.maxFileCount,
+                maxTotalSizeMB: this.form.maxTotalSizeMB,
+                allowedFileTypes: this.form.allowedFileTypes,
                 successMessage: this.form.successMessage,
                 enableCaptcha: this.form.enableCaptcha,
+                enableHoneypot: this.form.enableHoneypot,
+                minFillSeconds: this.form.minFillSeconds,
+                duplicateWindowMinutes: this.form.duplicateWindowMinutes,
+                rateLimitPerMinute: this.form.rateLimitPerMinute,
+                rateLimitPerHour: this.form.rateLimitPerHour,
+                clientRateLimitPerMinute: this.form.clientRateLimitPerMinute,
+                clientRateLimitPerHour: this.form.clientRateLimitPerHour,
+                clientBlockMinutes: this.form.clientBlockMinutes,
+                contactMatching: this.form.contactMatching,
+                accountMatching: this.form.accountMatching,
+                runAssignmentRules: this.form.runAssignmentRules,
+                assignmentRuleId: this.form.assignmentRuleId,
+                sendAutoResponse: this.form.sendAutoResponse,
+                sendConfirmationEmail: this.form.sendConfirmationEmail,
+                confirmationFromAddressId: this.form.confirmationFromAddressId,
+                confirmationEmailSubject: this.form.confirmationEmailSubject,
+                confirmationEmailBody: this.form.confirmationEmailBody,
+                postSubmissionFlow: this.form.postSubmissionFlow,
                 siteId: this.form.siteId,
                 allowedDomains: this.form.allowedDomains,
                 defaultCaseValues: defaultCaseValues
@@ -963,12 +1822,36 @@ ${opts}
                 fieldLabel: f.fieldLabel,
                 fieldType: f.fieldType,
                 caseField: f.caseField,
+                questionKey: f.caseField ? null : f.questionKey,
                 required: f.required,
-                sortOrder: f.sortOrder
+                sortOrder: f.sortOrder,
+                pageNumber: f.pageNumber,
+                options: f.options,
+                validationPattern: f.validationPattern,
+                validationMessage: f.validationMessage,
+                minLength: f.minLength,
+                maxLength: f.maxLength,
+                minValue: f.minValue,
+                maxValue: f.maxValue,
+                dependsOnField: f.dependsOnField,
+                conditionOperator: f.conditionOperator,
+                conditionValue: f.conditionValue,
+                conditionAction: f.conditionAction
             }));
 
             await saveFields({ formId: formId, fields: fieldsData });
 
+            // Then save webhooks; blank secrets keep the saved ones
+            const webhooksData = this.webhooks.map(w => ({
+                id: w.id,
+                endpointUrl: w.endpointUrl,
+                events: w.events,
+                active: w.active,
+                secret: w.secret
+            }));
+            await saveWebhooks({ formId: formId, webhooks: webhooksData });
+            this.webhooks = this.webhooks.map(w => ({ ...w, hasSecret: w.hasSecret || !!w.secret, secret: '' }));
+
             this.hasUnsavedChanges = false;
             this.showToast('Success', 'Form saved successfully', 'success');
 
@@ -2,6 +2,7 @@ import { LightningElement, track, wire } from 'lwc';
 import { subscribe, MessageContext } from 'lightning/messageService';
 import SETUP_STATUS_REFRESH from '@salesforce/messageChannel/SetupStatusRefresh__c';
 import getFullStatus from '@salesforce/apex/SetupWizardController.getFullStatus';
+import scheduleUploadCleanup from '@salesforce/apex/SetupWizardController.scheduleUploadCleanup';
 
 const CAPTCHA_TYPE_LABELS = {
     V2_Checkbox: 'v2 Checkbox',
@@ -9,11 +10,19 @@ const CAPTCHA_TYPE_LABELS = {
     V3_Score: 'v3 Score-based'
 };
 
+const CAPTCHA_PROVIDER_LABELS = {
+    reCAPTCHA: 'Google reCAPTCHA',
+    hCaptcha: 'hCaptcha',
+    Turnstile: 'Cloudflare Turnstile'
+};
+
 export default class SetupStatus extends LightningElement {
     @track status;
     isLoading = true;
     showPermissionDetails = false;
     error;
+    isSchedulingCleanup = false;
+    cleanupError;
     _copyLabel;
     _subscription;
 
@@ -49,6 +58,21 @@ export default class SetupStatus extends LightningElement {
         this.loadStatus();
     }
 
+    handleScheduleCleanup() {
+        this.isSchedulingCleanup = true;
+        this.cleanupError = undefined;
+        scheduleUploadCleanup()
+            .then(nextRun => {
+                this.status = { ...this.status, uploadCleanupScheduled: true, uploadCleanupNextRun: nextRun };
+            })
+            .catch(error => {
+                this.cleanupError = error?.body?.message || error?.message || 'Unknown error';
+            })
+            .finally(() => {
+                this.isSchedulingCleanup = false;
+            });
+    }
+
     togglePermissionDetails() {
         this.showPermissionDetails = !this.showPermissionDetails;
     }
@@ -150,6 +174,10 @@ export default class SetupStatus extends LightningElement {
         return this.status?.recaptchaConfigured ? 'Configured' : 'Not Configured';
     }
 
+    get recaptchaProviderLabel() {
+        return CAPTCHA_PROVIDER_LABELS[this.status?.recaptchaProvider] || this.status?.recaptchaProvider || '';
+    }
+
     get recaptchaTypeLabel() {
         return CAPTCHA_TYPE_LABELS[this.status?.recaptchaType] || this.status?.recaptchaType || '';
     }
@@ -162,6 +190,18 @@ export default class SetupStatus extends LightningElement {
         return !!this.status?.publicFormUrl;
     }
 
+    get uploadCleanupStatusLabel() {
+        return this.status?.uploadCleanupScheduled ? 'Scheduled daily' : 'Not scheduled';
+    }
+
+    get uploadCleanupAgeLabel() {
+        return 'Unfinished uploads older than ' + (this.status?.uploadCleanupAgeHours ?? 24) + ' hours';
+    }
+
+    get showScheduleCleanupButton() {
+        return !this.status?.uploadCleanupScheduled;
+    }
+
     get hasSiteBaseUrl() {
         return !!this.status?.siteBaseUrl;
     }
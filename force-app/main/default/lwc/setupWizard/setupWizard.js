@@ -23,6 +23,34 @@ const STEPS = [
     { label: 'Complete', value: '5' }
 ];
 
+// CAPTCHA providers, matching CaptchaService. Turnstile has no invisible mode and only reCAPTCHA has v3.
+const CAPTCHA_PROVIDERS = {
+    reCAPTCHA: {
+        label: 'Google reCAPTCHA',
+        adminUrl: 'https://www.google.com/recaptcha/admin',
+        adminConsole: 'Google reCAPTCHA Admin Console',
+        types: ['V2_Checkbox', 'V2_Invisible', 'V3_Score']
+    },
+    hCaptcha: {
+        label: 'hCaptcha',
+        adminUrl: 'https://dashboard.hcaptcha.com',
+        adminConsole: 'hCaptcha Dashboard',
+        types: ['V2_Checkbox', 'V2_Invisible']
+    },
+    Turnstile: {
+        label: 'Cloudflare Turnstile',
+        adminUrl: 'https://dash.cloudflare.com',
+        adminConsole: 'Cloudflare Dashboard (Turnstile)',
+        types: ['V2_Checkbox']
+    }
+};
+
+const CAPTCHA_TYPE_LABELS = {
+    V2_Checkbox: 'v2 Checkbox ("I\'m not a robot") (Recommended)',
+    V2_Invisible: 'v2 Invisible',
+    V3_Score: 'v3 Score-based'
+};
+
 export default class SetupWizard extends LightningElement {
     @wire(MessageContext) messageContext;
 
@@ -49,6 +77,8 @@ export default class SetupWizard extends LightningElement {
     @track validationPassed = false;
 
     // Step 5 - reCAPTCHA Configuration
+    @track recaptchaProvider = 'reCAPTCHA';
+    @track savedRecaptchaProvider = 'reCAPTCHA';
     @track recaptchaSiteKey = '';
     @track recaptchaSecretKey = '';
     @track recaptchaType = 'V2_Checkbox';
@@ -174,12 +204,39 @@ export default class SetupWizard extends LightningElement {
         return this.publicUrl;
     }
 
+    get recaptchaProviderOptions() {
+        return Object.keys(CAPTCHA_PROVIDERS).map(name => ({
+            label: CAPTCHA_PROVIDERS[name].label,
+            value: name
+        }));
+    }
+
     get recaptchaTypeOptions() {
-        return [
-            { label: 'v2 Checkbox ("I\'m not a robot") (Recommended)', value: 'V2_Checkbox' },
-            { label: 'v2 Invisible', value: 'V2_Invisible' },
-            { label: 'v3 Score-based', value: 'V3_Score' }
-        ];
+        return CAPTCHA_PROVIDERS[this.recaptchaProvider].types.map(type => ({
+            label: CAPTCHA_TYPE_LABELS[type],
+            value: type
+        }));
+    }
+
+    get recaptchaProviderLabel() {
+        return CAPTCHA_PROVIDERS[this.recaptchaProvider].label;
+    }
+
+    get recaptchaAdminConsole() {
+        return CAPTCHA_PROVIDERS[this.recaptchaProvider].adminConsole;
+    }
+
+    get recaptchaAdminButtonLabel() {
+        return 'Open ' + this.recaptchaAdminConsole;
+    }
+
+    get hasInvisibleType() {
+        return CAPTCHA_PROVIDERS[this.recaptchaProvider].types.includes('V2_Invisible');
+    }
+
+    // Keys belong to one provider, so new ones are needed when switching
+    get isProviderChanged() {
+        return this.recaptchaConfigured && this.recaptchaProvider !== this.savedRecaptchaProvider;
     }
 
     get isV3Score() {
@@ -325,6 +382,10 @@ export default class SetupWizard extends LightningElement {
                 if (result.siteKey) {
                     this.recaptchaSiteKey = result.siteKey;
                 }
+                if (CAPTCHA_PROVIDERS[result.captchaProvider]) {
+                    this.recaptchaProvider = result.captchaProvider;
+                    this.savedRecaptchaProvider = result.captchaProvider;
+                }
                 if (result.captchaType) {
                     this.recaptchaType = result.captchaType;
                 }
@@ -345,6 +406,13 @@ export default class SetupWizard extends LightningElement {
         this.recaptchaSecretKey = event.target.value;
     }
 
+    handleRecaptchaProviderChange(event) {
+        this.recaptchaProvider = event.detail.value;
+        if (!CAPTCHA_PROVIDERS[this.recaptchaProvider].types.includes(this.recaptchaType)) {
+            this.recaptchaType = 'V2_Checkbox';
+        }
+    }
+
     handleRecaptchaTypeChange(event) {
         this.recaptchaType = event.detail.value;
     }
@@ -352,7 +420,7 @@ export default class SetupWizard extends LightningElement {
     async handleSaveRecaptcha() {
         // For initial setup, require both keys
         // For updates when already configured, keys are optional (backend preserves existing)
-        if (!this.recaptchaConfigured) {
+        if (!this.recaptchaConfigured || this.isProviderChanged) {
             if (!this.recaptchaSiteKey || !this.recaptchaSecretKey) {
                 this.showToast('Warning', 'Please enter both Site Key and Secret Key.', 'warning');
                 return;
@@ -365,7 +433,8 @@ export default class SetupWizard extends LightningElement {
                 siteKey: this.recaptchaSiteKey || null,      // Pass null if empty (backend preserves existing)
                 secretKey: this.recaptchaSecretKey || null,  // Pass null if empty (backend preserves existing)
                 captchaType: this.recaptchaType,
-                scoreThreshold: null  // Uses default (0.3) from Custom Metadata field
+                scoreThreshold: null,  // Uses default (0.3) from Custom Metadata field
+                captchaProvider: this.recaptchaProvider
             });
 
             if (result.errorMessage) {
@@ -373,9 +442,11 @@ export default class SetupWizard extends LightningElement {
             } else {
                 this.recaptchaConfigured = result.isConfigured;
                 this.recaptchaType = result.captchaType || 'V2_Checkbox';
+                this.recaptchaProvider = result.captchaProvider || 'reCAPTCHA';
+                this.savedRecaptchaProvider = this.recaptchaProvider;
                 // Clear the secret key input after successful save (defense-in-depth)
                 this.recaptchaSecretKey = '';
-                this.showToast('Success', 'reCAPTCHA settings saved successfully!', 'success');
+                this.showToast('Success', this.recaptchaProviderLabel + ' settings saved successfully!', 'success');
             }
         } catch (error) {
             this.showToast('Error', this.getErrorMessage(error), 'error');
@@ -394,7 +465,7 @@ export default class SetupWizard extends LightningElement {
     }
 
     handleOpenRecaptchaAdmin() {
-        window.open('https://www.google.com/recaptcha/admin', '_blank');
+        window.open(CAPTCHA_PROVIDERS[this.recaptchaProvider].adminUrl, '_blank');
     }
 
     handleGoBackToRecaptcha() {
@@ -1,14 +1,21 @@
-/* global formConfig, grecaptcha, imageCompression, Visualforce */
+/* global formConfig, imageCompression, Visualforce */
 /* eslint @lwc/lwc/no-inner-html: "off" */
 /**
  * Web-to-Case Form Script
  * Handles form validation, file upload (including chunked uploads for large files),
- * reCAPTCHA (v2 Checkbox, v2 Invisible, v3 Score), and submission via Visualforce Remoting
+ * CAPTCHA (reCAPTCHA, hCaptcha or Turnstile: v2 Checkbox, v2 Invisible, v3 Score), and submission via Visualforce Remoting
  */
 (function() {
     'use strict';
 
-    // Global callback for v2 Invisible reCAPTCHA
+    // Global API each CAPTCHA provider's script defines, by formConfig.captchaProvider
+    var CAPTCHA_APIS = {
+        reCAPTCHA: 'grecaptcha',
+        hCaptcha: 'hcaptcha',
+        Turnstile: 'turnstile'
+    };
+
+    // Global callback for v2 Invisible CAPTCHA
     var captchaResolve = null;
     window.onCaptchaSuccess = function(token) {
         if (captchaResolve) {
@@ -26,7 +33,33 @@
     // This avoids chunked upload which has reliability issues with guest users
     var TARGET_SIZE_MB = 0.7;
     var MAX_IMAGE_SIZE = 25 * 1024 * 1024; // 25MB for images (will be compressed)
-    var MAX_DOC_SIZE = 4 * 1024 * 1024;    // 4MB for non-image files (async assembly supports up to ~4MB)
+
+    // Failed chunk requests are retried with exponential backoff: 1s, 2s, 4s, 8s, 16s
+    var MAX_CHUNK_RETRIES = 5;
+    var RETRY_BASE_DELAY = 1000;
+
+    // While an earlier request with the same idempotency key is still being processed,
+    // the submission is sent again with the same backoff, up to this many times
+    var MAX_IN_PROGRESS_CHECKS = 5;
+
+    // Unfinished uploads are kept in sessionStorage so they can resume after a reload,
+    // for as long as the server still accepts uploads to the Case (15 minutes)
+    var PENDING_UPLOADS_TTL = 15 * 60 * 1000;
+
+    // Uploads a reload interrupted: { caseId, caseNumber, savedAt, files } (see savePendingUploads)
+    var pendingUploads = null;
+
+    // Current page of a multi-step form (Form_Field__c.Page_Number__c)
+    var currentPage = null;
+
+    // Files chosen for upload; each entry is { file, invalid, upload, fileName, status, message }
+    var selectedFiles = [];
+
+    // Sent with every submission of the current form fill, so a resubmit returns the original Case
+    var idempotencyKey = null;
+
+    // Number of files uploaded at the same time once the Case exists
+    var UPLOAD_CONCURRENCY = 2;
 
     // Supported image MIME types for compression
     var SUPPORTED_IMAGE_TYPES = [
@@ -58,6 +91,19 @@
         return file.type && file.type.startsWith('video/');
     }
 
+    /**
+     * Check a file's extension against the form's allowed types (none listed means any type)
+     */
+    function isAllowedFileType(file) {
+        var allowed = formConfig.allowedExtensions || [];
+        if (allowed.length === 0) {
+            return true;
+        }
+        var dot = file.name.lastIndexOf('.');
+        var extension = dot === -1 ? '' : file.name.substring(dot + 1).toLowerCase();
+        return allowed.indexOf(extension) !== -1;
+    }
+
     /**
      * Validate file before processing
      * @returns {Object} { valid: boolean, error: string|null }
@@ -71,6 +117,14 @@
             };
         }
 
+        // Form's allowed file types (the server checks the extension and contents again)
+        if (!isAllowedFileType(file)) {
+            return {
+                valid: false,
+                error: 'This file type is not accepted. Allowed types: ' + formConfig.allowedFileTypes + '.'
+            };
+        }
+
         // Image files: max 25MB (will be compressed)
         if (isSupportedImage(file) && file.size > MAX_IMAGE_SIZE) {
             return {
@@ -79,11 +133,11 @@
             };
         }
 
-        // Non-image files: max 2MB
-        if (!isSupportedImage(file) && file.size > MAX_DOC_SIZE) {
+        // Non-image files: the form's Max File Size (the server enforces it again per chunk)
+        if (!isSupportedImage(file) && file.size > formConfig.maxFileSize) {
             return {
                 valid: false,
-                error: 'File too large. Documents must be under 4MB. For larger files, please email them after submitting.'
+                error: 'File too large. Files must be under ' + Math.round(formConfig.maxFileSize / (1024 * 1024)) + 'MB.'
             };
         }
 
@@ -195,7 +249,7 @@
 
         console.log('CaseForm: Initializing with formId:', formConfig.formId);
         if (formConfig.enableCaptcha) {
-            console.log('CaseForm: reCAPTCHA is enabled, type:', formConfig.captchaType);
+            console.log('CaseForm: CAPTCHA is enabled, provider:', formConfig.captchaProvider, 'type:', formConfig.captchaType);
         }
 
         // Notify parent in embed mode
@@ -218,10 +272,221 @@
                 hideError();
             });
         });
+
+        // Radio/checkbox groups only fire 'change'
+        var groups = form.querySelectorAll('.option-group');
+        groups.forEach(function(group) {
+            group.addEventListener('change', function() {
+                this.classList.remove('error');
+                hideError();
+            });
+        });
+
+        // Re-evaluate conditional fields whenever any value changes
+        form.addEventListener('input', function() {
+            applyFieldRules(form);
+        });
+        form.addEventListener('change', function() {
+            applyFieldRules(form);
+        });
+
+        // Multi-step navigation (Back/Next are only rendered when fields span several pages)
+        var backButton = document.getElementById('backButton');
+        var nextButton = document.getElementById('nextButton');
+        if (nextButton) {
+            nextButton.addEventListener('click', function() {
+                goToNextStep(form);
+            });
+            backButton.addEventListener('click', function() {
+                goToPreviousStep(form);
+            });
+            currentPage = getActivePages(form)[0];
+        }
+
+        // Each selection adds to the file list (or replaces it when only one file is allowed)
+        var fileInput = document.getElementById('fileInput');
+        var fileList = document.getElementById('fileList');
+        if (fileInput) {
+            fileInput.multiple = getMaxFileCount() > 1;
+            fileInput.addEventListener('change', function() {
+                hideError();
+                addFiles(fileInput.files);
+                fileInput.value = '';
+            });
+            fileList.addEventListener('click', function(e) {
+                var removeButton = e.target.closest('[data-remove-file]');
+                if (removeButton) {
+                    selectedFiles.splice(parseInt(removeButton.getAttribute('data-remove-file'), 10), 1);
+                    renderFileList();
+                    hideError();
+                }
+            });
+        }
+
+        applyFieldRules(form);
+
+        // Offer to finish uploads that a reload interrupted
+        pendingUploads = loadPendingUploads();
+        if (pendingUploads) {
+            showResumeNotice(pendingUploads);
+        }
+    }
+
+    /**
+     * Number of files the form accepts per submission
+     */
+    function getMaxFileCount() {
+        return formConfig.maxFileCount > 1 ? formConfig.maxFileCount : 1;
+    }
+
+    /**
+     * Add newly chosen files to the selection, checking each file and the form's file count
+     * @param {FileList} fileList - Files from the file input
+     */
+    function addFiles(fileList) {
+        var maxCount = getMaxFileCount();
+        var files = Array.prototype.slice.call(fileList || []);
+        if (maxCount === 1 && files.length > 0) {
+            selectedFiles = [];
+        }
+
+        for (var i = 0; i < files.length; i++) {
+            if (selectedFiles.length >= maxCount) {
+                showError('You can attach up to ' + maxCount + (maxCount === 1 ? ' file.' : ' files.'));
+                break;
+            }
+            // Invalid files stay listed with their error until removed
+            var validation = validateFile(files[i]);
+            selectedFiles.push({
+                file: files[i],
+                invalid: !validation.valid,
+                status: '',
+                message: validation.valid ? '' : validation.error
+            });
+        }
+
+        renderFileList();
+    }
+
+    /**
+     * Error for the first selected file that failed validation, or null
+     */
+    function getInvalidFileError(files) {
+        for (var i = 0; i < files.length; i++) {
+            if (files[i].invalid) {
+                return files[i].file.name + ': ' + files[i].message;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Render the selected files with their size, or their upload status once submitted
+     */
+    function renderFileList() {
+        var fileList = document.getElementById('fileList');
+        if (!fileList) {
+            return;
+        }
+        fileList.innerHTML = '';
+        selectedFiles.forEach(function(item, index) {
+            fileList.appendChild(buildFileItem(item, index));
+        });
+        notifyResize();
+    }
+
+    /**
+     * Build the list item for one file (a remove button is shown until the form is submitted)
+     */
+    function buildFileItem(item, index) {
+        var li = document.createElement('li');
+        li.className = 'file-item' + (item.invalid ? ' file-error' : '') + (item.status ? ' file-' + item.status : '');
+
+        var name = document.createElement('span');
+        name.className = 'file-name';
+        name.textContent = item.fileName || item.file.name;
+        li.appendChild(name);
+
+        var detail = document.createElement('span');
+        detail.className = 'file-detail';
+        detail.textContent = item.message || formatFileSize(item.file.size);
+        li.appendChild(detail);
+
+        if (!item.status && index !== undefined) {
+            var removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'file-remove';
+            removeButton.setAttribute('data-remove-file', index);
+            removeButton.setAttribute('aria-label', 'Remove ' + item.file.name);
+            removeButton.textContent = '\u00d7';
+            li.appendChild(removeButton);
+        }
+        return li;
+    }
+
+    /**
+     * Set a file's upload status ('uploading', 'processing', 'complete', 'error', ...) and redraw the list
+     */
+    function setFileStatus(item, status, message) {
+        item.status = status;
+        item.message = message;
+        renderFileList();
+    }
+
+    /**
+     * Clear upload statuses after a failed submission so files can be removed or resubmitted
+     */
+    function resetFileStatuses() {
+        selectedFiles.forEach(function(item) {
+            item.status = '';
+            item.message = '';
+        });
+        renderFileList();
+    }
+
+    /**
+     * List each file's final status under the success message
+     */
+    function showFileSummary(files) {
+        var summary = document.getElementById('fileSummary');
+        if (!summary || files.length === 0) {
+            return;
+        }
+        summary.innerHTML = '';
+        files.forEach(function(item) {
+            summary.appendChild(buildFileItem(item));
+        });
+        summary.style.display = 'block';
+        setTimeout(notifyResize, 100);
     }
 
     /**
-     * Execute reCAPTCHA and return token via Promise
+     * Format a byte count for display (e.g. "1.2 MB")
+     */
+    function formatFileSize(bytes) {
+        if (bytes < 1024 * 1024) {
+            return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+        }
+        return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+    }
+
+    /**
+     * Global API of the configured CAPTCHA provider, or undefined until its script has loaded
+     */
+    function getCaptchaApi() {
+        return window[CAPTCHA_APIS[formConfig.captchaProvider] || CAPTCHA_APIS.reCAPTCHA];
+    }
+
+    /**
+     * Widget argument for getResponse and reset. reCAPTCHA and hCaptcha default to the page's
+     * only widget; Turnstile needs its container.
+     */
+    function getCaptchaWidget() {
+        return formConfig.captchaProvider === 'Turnstile' ? '#recaptcha-container' : undefined;
+    }
+
+    /**
+     * Execute CAPTCHA and return token via Promise
      * Handles v2 Checkbox (sync), v2 Invisible (callback), and v3 Score (async)
      */
     function executeCaptcha() {
@@ -232,28 +497,29 @@
             }
 
             var captchaType = formConfig.captchaType || 'V2_Checkbox';
+            var captchaApi = getCaptchaApi();
 
             if (captchaType === 'V2_Invisible') {
                 // v2 Invisible - execute triggers challenge, callback receives token
-                if (typeof grecaptcha === 'undefined') {
-                    reject(new Error('reCAPTCHA not loaded'));
+                if (!captchaApi) {
+                    reject(new Error('CAPTCHA not loaded'));
                     return;
                 }
                 captchaResolve = resolve;
                 try {
-                    grecaptcha.execute();
+                    captchaApi.execute();
                 } catch (e) {
                     captchaResolve = null;
                     reject(e);
                 }
             } else if (captchaType === 'V3_Score') {
-                // v3 Score - async execution with action
-                if (typeof grecaptcha === 'undefined') {
-                    reject(new Error('reCAPTCHA not loaded'));
+                // v3 Score (reCAPTCHA only) - async execution with action
+                if (!captchaApi) {
+                    reject(new Error('CAPTCHA not loaded'));
                     return;
                 }
-                grecaptcha.ready(function() {
-                    grecaptcha.execute(formConfig.captchaSiteKey, { action: 'submit' })
+                captchaApi.ready(function() {
+                    captchaApi.execute(formConfig.captchaSiteKey, { action: 'submit' })
                         .then(function(token) {
                             resolve(token);
                         })
@@ -263,12 +529,12 @@
                 });
             } else {
                 // v2 Checkbox - synchronous retrieval
-                if (typeof grecaptcha !== 'undefined') {
+                if (captchaApi) {
                     try {
-                        var token = grecaptcha.getResponse();
+                        var token = captchaApi.getResponse(getCaptchaWidget());
                         resolve(token);
                     } catch (e) {
-                        console.error('CaseForm: Error getting reCAPTCHA response:', e);
+                        console.error('CaseForm: Error getting CAPTCHA response:', e);
                         resolve('');
                     }
                 } else {
@@ -286,8 +552,34 @@
 
         var form = e.target;
 
-        // Validate form
-        var validationErrors = validateForm(form);
+        // After a reload, choosing the files whose upload was interrupted finishes that upload
+        if (pendingUploads) {
+            if (resumePendingUploads(selectedFiles)) {
+                return;
+            }
+            // None of the chosen files were being uploaded: this is a new request
+            clearPendingUploads();
+        }
+
+        // On a multi-step form, Enter on an earlier step moves forward instead of submitting
+        if (isMultiStep() && !isLastStep(form)) {
+            goToNextStep(form);
+            return;
+        }
+
+        // Validate form (step by step, so the first step with a problem is shown)
+        var validationErrors = [];
+        if (isMultiStep()) {
+            var pages = getActivePages(form);
+            for (var p = 0; p < pages.length && validationErrors.length === 0; p++) {
+                validationErrors = validateForm(form, pages[p]);
+                if (validationErrors.length > 0) {
+                    showStep(form, pages[p]);
+                }
+            }
+        } else {
+            validationErrors = validateForm(form);
+        }
         if (validationErrors.length > 0) {
             showError(validationErrors.join('<br>'));
             return;
@@ -297,8 +589,8 @@
 
         // For v2 Checkbox, validate synchronously first
         if (formConfig.enableCaptcha && captchaType === 'V2_Checkbox') {
-            if (typeof grecaptcha !== 'undefined') {
-                var token = grecaptcha.getResponse();
+            if (getCaptchaApi()) {
+                var token = getCaptchaApi().getResponse(getCaptchaWidget());
                 if (!token) {
                     showCaptchaError();
                     showError('Please complete the CAPTCHA verification.');
@@ -310,12 +602,15 @@
 
         // Collect field values
         var fieldValues = collectFieldValues(form);
+        addBotCheckValues(fieldValues);
 
-        // Check for file
-        var fileInput = document.getElementById('fileInput');
-        var hasFile = fileInput && fileInput.files && fileInput.files.length > 0;
-        var file = hasFile ? fileInput.files[0] : null;
-        // File validation (size limits) handled in processSubmission via validateFile()
+        // Files that failed validation (see addFiles) must be removed before submitting
+        var files = selectedFiles;
+        var fileError = getInvalidFileError(files);
+        if (fileError) {
+            showError(fileError);
+            return;
+        }
 
         setLoading(true);
 
@@ -331,67 +626,105 @@
                         showError('CAPTCHA verification failed. Please try again.');
                         return;
                     }
-                    processSubmission(form, fieldValues, file, captchaToken);
+                    processSubmission(form, fieldValues, files, captchaToken);
                 })
                 .catch(function(err) {
                     setLoading(false);
-                    console.error('CaseForm: reCAPTCHA error:', err);
+                    console.error('CaseForm: CAPTCHA error:', err);
                     showError('Could not verify. Please check your connection and try again.');
                 });
         } else {
             // v2 Checkbox or captcha disabled
             var captchaToken = '';
-            if (formConfig.enableCaptcha && typeof grecaptcha !== 'undefined') {
-                captchaToken = grecaptcha.getResponse();
+            if (formConfig.enableCaptcha && getCaptchaApi()) {
+                captchaToken = getCaptchaApi().getResponse(getCaptchaWidget());
             }
-            processSubmission(form, fieldValues, file, captchaToken);
+            processSubmission(form, fieldValues, files, captchaToken);
         }
     }
 
     /**
      * Process form submission after captcha validation
+     * One small file goes with the form in a single request; otherwise the Case is created
+     * first and every file is uploaded to it in chunks.
      */
-    function processSubmission(form, fieldValues, file, captchaToken) {
-        if (file) {
-            // Validate file first
-            var validation = validateFile(file);
-            if (!validation.valid) {
+    function processSubmission(form, fieldValues, files, captchaToken) {
+        // Kept across retries until a submission succeeds
+        idempotencyKey = idempotencyKey || generateUUID();
+
+        if (files.length === 0) {
+            submitToSalesforce(fieldValues, '', '', captchaToken);
+            return;
+        }
+
+        prepareFiles(files)
+            .then(function() {
+                var totalSize = 0;
+                files.forEach(function(item) {
+                    totalSize += item.upload.size;
+                });
+                if (formConfig.maxTotalSizeMB > 0 && totalSize > formConfig.maxTotalSizeMB * 1024 * 1024) {
+                    setLoading(false);
+                    showError('Attachments exceed the ' + formConfig.maxTotalSizeMB + 'MB total allowed for this form.');
+                    return;
+                }
+
+                if (files.length === 1 && files[0].upload.size <= CHUNK_SIZE) {
+                    // Single small file: use original single-request method
+                    readFileAsBase64(files[0].upload, function(base64Content) {
+                        setFileStatus(files[0], 'uploading', 'Uploading...');
+                        submitToSalesforce(fieldValues, files[0].fileName, base64Content, captchaToken);
+                    }, function(error) {
+                        setLoading(false);
+                        showError('Error reading file: ' + error);
+                    });
+                } else {
+                    console.log('CaseForm: ' + files.length + ' file(s) to upload, using chunked upload');
+                    submitFormThenUploadFiles(fieldValues, files, captchaToken);
+                }
+            })
+            .catch(function(error) {
                 setLoading(false);
-                showError(validation.error);
-                return;
-            }
+                showError('Error processing file: ' + error.message);
+            });
+    }
 
-            // Compress if image, then upload
-            compressImageIfNeeded(file)
-                .then(function(processedFile) {
-                    // Determine the correct filename (update extension if converted to JPEG)
-                    var fileName = file.name;
-                    if (processedFile !== file && processedFile.type === 'image/jpeg') {
+    /**
+     * Compress images one at a time and give every file a unique name.
+     * Assembled files are matched by name, so two uploads called "image.png" would collide.
+     * @param {Array} files - Selected file entries; sets upload (File|Blob) and fileName on each
+     * @returns {Promise}
+     */
+    function prepareFiles(files) {
+        var usedNames = {};
+        return files.reduce(function(chain, item) {
+            return chain.then(function() {
+                return compressImageIfNeeded(item.file).then(function(processedFile) {
+                    // Update extension if converted to JPEG
+                    var fileName = item.file.name;
+                    if (processedFile !== item.file && processedFile.type === 'image/jpeg') {
                         fileName = fileName.replace(/\.(heic|heif|png|webp|bmp)$/i, '.jpg');
                     }
-
-                    // Check if processed file needs chunked upload
-                    if (processedFile.size > CHUNK_SIZE) {
-                        console.log('CaseForm: Large file detected (' + Math.round(processedFile.size / 1024) + 'KB), using chunked upload');
-                        // For large files: submit form first (without file), then upload chunks
-                        submitFormThenUploadChunks(fieldValues, processedFile, fileName, captchaToken);
-                    } else {
-                        // Small file: use original single-request method
-                        readFileAsBase64(processedFile, function(base64Content) {
-                            submitToSalesforce(fieldValues, fileName, base64Content, captchaToken);
-                        }, function(error) {
-                            setLoading(false);
-                            showError('Error reading file: ' + error);
-                        });
-                    }
-                })
-                .catch(function(error) {
-                    setLoading(false);
-                    showError('Error processing file: ' + error.message);
+                    item.upload = processedFile;
+                    item.fileName = uniqueFileName(fileName, usedNames);
                 });
-        } else {
-            submitToSalesforce(fieldValues, '', '', captchaToken);
+            });
+        }, Promise.resolve());
+    }
+
+    /**
+     * Return fileName, or "name (2).ext" etc. if it is already taken (case-insensitive)
+     */
+    function uniqueFileName(fileName, usedNames) {
+        var dot = fileName.lastIndexOf('.');
+        var base = dot > 0 ? fileName.substring(0, dot) : fileName;
+        var extension = dot > 0 ? fileName.substring(dot) : '';
+        var name = fileName;
+        for (var n = 2; usedNames[name.toLowerCase()]; n++) {
+            name = base + ' (' + n + ')' + extension;
         }
+        usedNames[name.toLowerCase()] = true;
+        return name;
     }
 
     /**
@@ -406,145 +739,445 @@
     }
 
     /**
-     * Submit form without file, then upload file in chunks
+     * Call a remote action and return a Promise for its result
+     * Rejects only when the request itself fails; result.success is left to the caller.
+     */
+    function invokeRemote(action, args, timeout) {
+        return new Promise(function(resolve, reject) {
+            var manager = Visualforce.remoting.Manager;
+            manager.invokeAction.apply(manager, [action].concat(args, [
+                function(result, event) {
+                    if (event.status) {
+                        resolve(result);
+                    } else {
+                        reject(new Error(event.message || 'Request failed.'));
+                    }
+                },
+                { escape: false, timeout: timeout }
+            ]));
+        });
+    }
+
+    /**
+     * Submit form without files, then upload the files in chunks
      * @param {Object} fieldValues - Form field values
-     * @param {File|Blob} file - The file to upload (may be compressed)
-     * @param {string} fileName - The filename to use (may have updated extension)
-     * @param {string} captchaToken - reCAPTCHA token
+     * @param {Array} files - Prepared file entries (see prepareFiles)
+     * @param {string} captchaToken - CAPTCHA token
      */
-    function submitFormThenUploadChunks(fieldValues, file, fileName, captchaToken) {
-        console.log('CaseForm: Submitting form data first (without file)...');
+    function submitFormThenUploadFiles(fieldValues, files, captchaToken) {
+        console.log('CaseForm: Submitting form data first (without files)...');
 
-        // First, submit the form without the file to create the Case
-        Visualforce.remoting.Manager.invokeAction(
-            formConfig.remoteAction,
-            formConfig.formId,
-            fieldValues,
-            '', // No file name
-            '', // No file content
-            captchaToken || '',
+        // First, submit the form without the files to create the Case
+        invokeSubmit(fieldValues, '', '', captchaToken,
             function(result, event) {
                 if (event.status && result && result.success) {
+                    idempotencyKey = null;
                     var caseNumber = result.caseNumber;
-                    console.log('CaseForm: Case created:', caseNumber, '- now uploading file in chunks');
-
-                    // Get the Case ID by querying (we need it for file attachment)
-                    // The result contains caseNumber, we need to get caseId
-                    // Actually, we need to modify the controller to return caseId too
-                    // For now, let's use a workaround: query for the case
-                    // Better approach: modify submitForm to return caseId
+                    console.log('CaseForm: Case created:', caseNumber, '- now uploading files in chunks');
 
-                    // We'll need to get the caseId - let's add it to the response
                     if (result.caseId) {
-                        uploadFileInChunks(result.caseId, file, fileName, caseNumber);
+                        uploadFiles(result.caseId, caseNumber, files);
                     } else {
-                        // Fallback: show success but note file wasn't attached
-                        console.warn('CaseForm: Case created but caseId not returned, cannot attach file');
+                        // Fallback: show success but note files weren't attached
+                        console.warn('CaseForm: Case created but caseId not returned, cannot attach files');
                         setLoading(false);
                         showSuccess(caseNumber);
-                        showError('Note: File could not be attached due to size limits.');
+                        showError(result.duplicate
+                            ? 'This request was already received, so the files were not attached.'
+                            : 'Note: Files could not be attached due to size limits.');
                     }
                 } else {
                     setLoading(false);
                     var errorMsg = result && result.error ? result.error : 'Failed to submit form.';
                     console.error('CaseForm: Form submission failed -', errorMsg);
+                    showFieldErrors(result && result.fieldErrors);
                     showError(errorMsg);
+                    resetFileStatuses();
                     if (formConfig.enableCaptcha) {
                         resetCaptcha();
                     }
                 }
-            },
-            { escape: false, timeout: 120000 }
+            }
         );
     }
 
     /**
-     * Upload file in chunks
+     * Upload every file to the Case, UPLOAD_CONCURRENCY at a time, then ask the
+     * server for the final state of all the Case's files
      * @param {string} caseId - The Salesforce Case ID
-     * @param {File|Blob} file - The file to upload
-     * @param {string} fileName - The filename to use
      * @param {string} caseNumber - The Case number for display
+     * @param {Array} files - Prepared file entries
      */
-    function uploadFileInChunks(caseId, file, fileName, caseNumber) {
-        var uploadKey = generateUUID();
-        var totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+    function uploadFiles(caseId, caseNumber, files) {
+        var queue = files.slice();
+        var finished = 0;
+        files.forEach(function(item) {
+            item.uploadKey = item.uploadKey || generateUUID();
+            setFileStatus(item, 'queued', 'Waiting...');
+        });
+        savePendingUploads(caseId, caseNumber, files);
+        updateButtonText('Uploading files... 0/' + files.length);
 
-        console.log('CaseForm: Starting chunked upload - ' + totalChunks + ' chunks, uploadKey:', uploadKey);
+        function uploadNext() {
+            var item = queue.shift();
+            if (!item) {
+                return Promise.resolve();
+            }
+            return uploadFileInChunks(caseId, item)
+                .then(function(status) {
+                    setFileStatus(item, status, status === 'complete' ? 'Attached' : 'Processing...');
+                }, function(error) {
+                    console.error('CaseForm: Upload failed for ' + item.fileName + ' -', error.message);
+                    item.interrupted = !!error.interrupted;
+                    setFileStatus(item, 'error', 'Not attached: ' + error.message);
+                })
+                .then(function() {
+                    finished++;
+                    savePendingUploads(caseId, caseNumber, files);
+                    updateButtonText('Uploading files... ' + finished + '/' + files.length);
+                    return uploadNext();
+                });
+        }
 
-        // Read file as ArrayBuffer for chunking
-        var reader = new FileReader();
-        reader.onload = function(e) {
-            var arrayBuffer = e.target.result;
-            uploadChunkSequentially(caseId, fileName, arrayBuffer, 0, totalChunks, uploadKey, caseNumber);
-        };
-        reader.onerror = function() {
-            setLoading(false);
-            showError('Error reading file for upload.');
-        };
-        reader.readAsArrayBuffer(file);
+        var workers = [];
+        for (var i = 0; i < Math.min(UPLOAD_CONCURRENCY, files.length); i++) {
+            workers.push(uploadNext());
+        }
+
+        Promise.all(workers)
+            .then(function() {
+                return invokeRemote(formConfig.uploadedFilesAction, [caseId], 30000)
+                    .catch(function() {
+                        return null; // Fall back to the status each upload reported
+                    });
+            })
+            .then(function(result) {
+                if (result && result.success) {
+                    applyServerFileStatus(files, result.files || []);
+                }
+                pendingUploads = null;
+                setLoading(false);
+                showSuccess(caseNumber);
+                showFileSummary(files);
+            });
+    }
+
+    /**
+     * Update each file's status from the server's list of files on the Case
+     */
+    function applyServerFileStatus(files, serverFiles) {
+        var statusByName = {};
+        serverFiles.forEach(function(serverFile) {
+            statusByName[serverFile.fileName.toLowerCase()] = serverFile.status;
+        });
+        files.forEach(function(item) {
+            var status = statusByName[item.fileName.toLowerCase()];
+            if (item.interrupted) {
+                // Its chunks are on the Case, but only resuming the upload will finish it
+                return;
+            }
+            if (status === 'complete') {
+                setFileStatus(item, 'complete', 'Attached');
+            } else if (status === 'processing') {
+                setFileStatus(item, 'processing', 'Still processing - it will appear on your case shortly');
+            } else if (item.status !== 'error') {
+                setFileStatus(item, 'error', 'Not attached');
+            }
+        });
+    }
+
+    /**
+     * Upload one file in chunks
+     * @param {string} caseId - The Salesforce Case ID
+     * @param {Object} item - Prepared file entry
+     * @returns {Promise<string>} 'complete', or 'processing' if assembly outlasted polling
+     */
+    function uploadFileInChunks(caseId, item) {
+        var uploadKey = item.uploadKey;
+        var totalChunks = Math.max(1, Math.ceil(item.upload.size / CHUNK_SIZE));
+
+        console.log('CaseForm: Starting chunked upload of ' + item.fileName + ' - ' + totalChunks + ' chunks, uploadKey:', uploadKey);
+
+        return readFileAsArrayBuffer(item.upload).then(function(arrayBuffer) {
+            if (item.resuming) {
+                // Chosen again after a reload: carry on from the chunks the server already has
+                return resumeUpload(caseId, item, arrayBuffer, totalChunks, uploadKey, 0);
+            }
+            return uploadChunkSequentially(caseId, item, arrayBuffer, 0, totalChunks, uploadKey, 0);
+        });
     }
 
     /**
-     * Upload chunks one at a time sequentially
+     * Read file as ArrayBuffer for chunking
      */
-    function uploadChunkSequentially(caseId, fileName, arrayBuffer, chunkIndex, totalChunks, uploadKey, caseNumber) {
+    function readFileAsArrayBuffer(file) {
+        return new Promise(function(resolve, reject) {
+            var reader = new FileReader();
+            reader.onload = function(e) {
+                resolve(e.target.result);
+            };
+            reader.onerror = function() {
+                reject(new Error('Error reading file for upload.'));
+            };
+            reader.readAsArrayBuffer(file);
+        });
+    }
+
+    /**
+     * Upload one file's chunks one at a time sequentially
+     * @param {number} attempt - Retries made so far for this chunk (see retryUpload)
+     */
+    function uploadChunkSequentially(caseId, item, arrayBuffer, chunkIndex, totalChunks, uploadKey, attempt) {
         // Calculate chunk boundaries
         var start = chunkIndex * CHUNK_SIZE;
         var end = Math.min(start + CHUNK_SIZE, arrayBuffer.byteLength);
-        var chunkArrayBuffer = arrayBuffer.slice(start, end);
+        var chunkBase64 = arrayBufferToBase64(arrayBuffer.slice(start, end));
 
-        // Convert chunk to base64
-        var chunkBase64 = arrayBufferToBase64(chunkArrayBuffer);
+        setFileStatus(item, 'uploading', 'Uploading... ' + Math.round((chunkIndex / totalChunks) * 100) + '%');
 
-        console.log('CaseForm: Uploading chunk ' + (chunkIndex + 1) + '/' + totalChunks);
+        return invokeRemote(formConfig.uploadChunkAction,
+            [caseId, item.fileName, chunkBase64, chunkIndex, totalChunks, uploadKey], 120000)
+            .then(function(result) {
+                if (!result || !result.success) {
+                    throw new Error(result && result.error ? result.error : 'Failed to upload file chunk.');
+                }
+                if (result.complete) {
+                    // All chunks uploaded and file assembled synchronously
+                    return 'complete';
+                }
+                if (result.processing) {
+                    // Async assembly in progress - start polling
+                    setFileStatus(item, 'processing', 'Processing...');
+                    return pollUploadStatus(caseId, result.uploadKey, item.fileName, 0);
+                }
+                // Upload next chunk
+                return uploadChunkSequentially(caseId, item, arrayBuffer, chunkIndex + 1, totalChunks, uploadKey, 0);
+            }, function(error) {
+                // The request itself failed (dropped connection or timeout). The chunk may still have
+                // arrived, so ask the server where the upload got to before carrying on.
+                console.warn('CaseForm: Chunk ' + chunkIndex + ' of ' + item.fileName + ' failed -', error.message);
+                return retryUpload(caseId, item, arrayBuffer, totalChunks, uploadKey, attempt);
+            });
+    }
 
-        // Update loading text to show progress
-        var submitButton = document.getElementById('submitButton');
-        if (submitButton) {
-            submitButton.textContent = 'Uploading... ' + Math.round(((chunkIndex + 1) / totalChunks) * 100) + '%';
+    /**
+     * Wait with exponential backoff, then resume the upload; gives up after MAX_CHUNK_RETRIES
+     * with an error that leaves the upload resumable after a reload
+     */
+    function retryUpload(caseId, item, arrayBuffer, totalChunks, uploadKey, attempt) {
+        if (attempt >= MAX_CHUNK_RETRIES) {
+            var error = new Error('Upload interrupted. Reload the page and choose the file again to finish attaching it.');
+            error.interrupted = true;
+            return Promise.reject(error);
         }
+        setFileStatus(item, 'uploading', 'Connection lost - retrying...');
+        return waitForRetry(attempt).then(function() {
+            return resumeUpload(caseId, item, arrayBuffer, totalChunks, uploadKey, attempt + 1);
+        });
+    }
 
-        Visualforce.remoting.Manager.invokeAction(
-            formConfig.uploadChunkAction,
-            caseId,
-            fileName,
-            chunkBase64,
-            chunkIndex,
-            totalChunks,
-            uploadKey,
-            function(result, event) {
-                if (event.status && result && result.success) {
-                    if (result.complete) {
-                        // All chunks uploaded and file assembled synchronously
-                        console.log('CaseForm: File upload complete');
-                        setLoading(false);
-                        showSuccess(caseNumber);
-                    } else if (result.processing) {
-                        // Async assembly in progress - start polling
-                        console.log('CaseForm: File assembly queued, polling for completion...');
-                        pollUploadStatus(caseId, result.uploadKey, fileName, caseNumber, 0);
-                    } else {
-                        // Upload next chunk
-                        uploadChunkSequentially(caseId, fileName, arrayBuffer, chunkIndex + 1, totalChunks, uploadKey, caseNumber);
-                    }
-                } else {
-                    setLoading(false);
-                    var errorMsg = result && result.error ? result.error : 'Failed to upload file chunk.';
-                    console.error('CaseForm: Chunk upload failed -', errorMsg);
-                    // Show success for case but warn about file
-                    showSuccess(caseNumber);
-                    showError('Your case was created, but the file could not be attached: ' + errorMsg);
+    /**
+     * Ask the server which chunks of the upload it has and continue from the first missing one
+     * @returns {Promise<string>} 'complete', or 'processing' if assembly outlasted polling
+     */
+    function resumeUpload(caseId, item, arrayBuffer, totalChunks, uploadKey, attempt) {
+        return invokeRemote(formConfig.uploadSessionAction, [caseId, uploadKey, item.fileName], 30000)
+            .then(function(session) {
+                if (!session || !session.success) {
+                    throw new Error(session && session.error ? session.error : 'Could not resume the upload.');
                 }
-            },
-            { escape: false, timeout: 120000 }
-        );
+                if (session.status === 'complete') {
+                    return 'complete';
+                }
+                if (session.status === 'processing') {
+                    setFileStatus(item, 'processing', 'Processing...');
+                    return pollUploadStatus(caseId, uploadKey, item.fileName, 0);
+                }
+                if (session.totalChunks && session.totalChunks !== totalChunks) {
+                    throw new Error('This file does not match the interrupted upload.');
+                }
+                var chunkIndex = firstMissingChunk(session.receivedChunks || [], totalChunks);
+                return uploadChunkSequentially(caseId, item, arrayBuffer, chunkIndex, totalChunks, uploadKey, attempt);
+            }, function() {
+                return retryUpload(caseId, item, arrayBuffer, totalChunks, uploadKey, attempt);
+            });
+    }
+
+    /**
+     * Lowest chunk index the server doesn't have, or the last chunk if it has them all
+     * (sending it again triggers assembly)
+     */
+    function firstMissingChunk(receivedChunks, totalChunks) {
+        for (var i = 0; i < totalChunks; i++) {
+            if (receivedChunks.indexOf(i) === -1) {
+                return i;
+            }
+        }
+        return totalChunks - 1;
+    }
+
+    /**
+     * Resolve after 1s, 2s, 4s... for attempt 0, 1, 2..., and not before the browser is back online
+     */
+    function waitForRetry(attempt) {
+        var delay = RETRY_BASE_DELAY * Math.pow(2, attempt);
+        return new Promise(function(resolve) {
+            setTimeout(function() {
+                if (window.navigator.onLine !== false) {
+                    resolve();
+                    return;
+                }
+                window.addEventListener('online', function onOnline() {
+                    window.removeEventListener('online', onOnline);
+                    resolve();
+                });
+            }, delay);
+        });
+    }
+
+    /**
+     * sessionStorage key for the form's unfinished uploads
+     */
+    function pendingUploadsKey() {
+        return 'wtc-pending-uploads:' + formConfig.formId;
+    }
+
+    /**
+     * Remember the uploads that haven't finished (queued, in progress, or interrupted after
+     * repeated connection failures) so they can resume after a reload
+     */
+    function savePendingUploads(caseId, caseNumber, files) {
+        var unfinished = files.filter(function(item) {
+            return item.status === 'queued' || item.status === 'uploading' || item.interrupted;
+        }).map(function(item) {
+            return {
+                fileName: item.fileName,
+                uploadKey: item.uploadKey,
+                size: item.upload.size,
+                sourceName: item.file.name,
+                sourceSize: item.file.size,
+                sourceModified: item.file.lastModified
+            };
+        });
+        try {
+            if (unfinished.length === 0) {
+                window.sessionStorage.removeItem(pendingUploadsKey());
+                return;
+            }
+            // Keep the original time: the server's upload authorization doesn't get longer
+            var saved = JSON.parse(window.sessionStorage.getItem(pendingUploadsKey()));
+            window.sessionStorage.setItem(pendingUploadsKey(), JSON.stringify({
+                caseId: caseId,
+                caseNumber: caseNumber,
+                savedAt: saved && saved.caseId === caseId ? saved.savedAt : Date.now(),
+                files: unfinished
+            }));
+        } catch (e) {
+            // Storage can be unavailable (private browsing, blocked in iframes); uploads then can't resume after a reload
+        }
+    }
+
+    /**
+     * Unfinished uploads saved by savePendingUploads, or null if there are none that can still resume
+     */
+    function loadPendingUploads() {
+        try {
+            var saved = JSON.parse(window.sessionStorage.getItem(pendingUploadsKey()));
+            if (saved && saved.files && saved.files.length > 0 && Date.now() - saved.savedAt < PENDING_UPLOADS_TTL) {
+                return saved;
+            }
+            window.sessionStorage.removeItem(pendingUploadsKey());
+        } catch (e) {
+            // Unavailable or unreadable storage: nothing to resume
+        }
+        return null;
+    }
+
+    function clearPendingUploads() {
+        pendingUploads = null;
+        try {
+            window.sessionStorage.removeItem(pendingUploadsKey());
+        } catch (e) {
+            // Nothing was saved
+        }
+    }
+
+    /**
+     * Tell the visitor which attachments didn't finish and how to finish them
+     */
+    function showResumeNotice(pending) {
+        var names = pending.files.map(function(entry) {
+            return entry.fileName;
+        }).join(', ');
+        var one = pending.files.length === 1;
+        showError('Case ' + pending.caseNumber + ' was submitted, but ' +
+            (one ? 'an attachment' : pending.files.length + ' attachments') + ' did not finish uploading (' + names + '). ' +
+            'Choose the same ' + (one ? 'file' : 'files') + ' and press Submit to finish attaching ' + (one ? 'it' : 'them') +
+            ', or fill in the form to send a new request.');
+    }
+
+    /**
+     * The interrupted upload a chosen file belongs to (same name, size and last-modified date), or null
+     */
+    function findPendingUpload(pending, file) {
+        for (var i = 0; i < pending.files.length; i++) {
+            var entry = pending.files[i];
+            if (entry.sourceName === file.name && entry.sourceSize === file.size &&
+                entry.sourceModified === file.lastModified) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Finish the interrupted uploads with the files chosen again after a reload. Other chosen
+     * files are attached to the same Case as new uploads.
+     * @param {Array} files - Selected file entries
+     * @returns {boolean} false if none of the files were being uploaded (submit a new request instead)
+     */
+    function resumePendingUploads(files) {
+        var pending = pendingUploads;
+        var matches = files.filter(function(item) {
+            return findPendingUpload(pending, item.file) !== null;
+        });
+        if (matches.length === 0) {
+            return false;
+        }
+        var fileError = getInvalidFileError(files);
+        if (fileError) {
+            showError(fileError);
+            return true;
+        }
+
+        hideError();
+        setLoading(true);
+        prepareFiles(files)
+            .then(function() {
+                files.forEach(function(item) {
+                    var entry = findPendingUpload(pending, item.file);
+                    // A file that compressed to a different size can't reuse the stored chunks
+                    if (entry && entry.size === item.upload.size) {
+                        item.fileName = entry.fileName;
+                        item.uploadKey = entry.uploadKey;
+                        item.resuming = true;
+                    }
+                });
+                uploadFiles(pending.caseId, pending.caseNumber, files);
+            })
+            .catch(function(error) {
+                setLoading(false);
+                showError('Error processing file: ' + error.message);
+            });
+        return true;
     }
 
     /**
      * Poll for async file assembly completion via VF Remoting
      * Uses exponential backoff: 2s, 3s, 5s, 5s, 5s... up to 60s total
+     * @returns {Promise<string>} 'complete', or 'processing' on timeout
      */
-    function pollUploadStatus(caseId, uploadKey, fileName, caseNumber, attempt) {
+    function pollUploadStatus(caseId, uploadKey, fileName, attempt) {
         var POLL_INTERVALS = [2000, 3000, 5000, 5000, 5000, 5000, 5000, 5000, 5000, 5000, 5000, 5000];
         var MAX_POLL_TIME = 60000; // 60 seconds total timeout
         var elapsed = 0;
@@ -553,53 +1186,35 @@
         }
 
         if (elapsed >= MAX_POLL_TIME) {
-            // Timeout - show success with warning
+            // Timeout - the file is reported as still processing
             console.warn('CaseForm: Upload status polling timed out after 60s');
-            setLoading(false);
-            showSuccess(caseNumber);
-            showError('Your case was created. The file is still being processed and will appear shortly.');
-            return;
+            return Promise.resolve('processing');
         }
 
         var delay = POLL_INTERVALS[attempt] || 5000;
 
-        // Update button text
-        var submitButton = document.getElementById('submitButton');
-        if (submitButton) {
-            submitButton.textContent = 'Processing file...';
-        }
-
-        setTimeout(function() {
-            Visualforce.remoting.Manager.invokeAction(
-                formConfig.checkUploadStatusAction,
-                caseId,
-                uploadKey,
-                fileName,
-                function(result, event) {
-                    if (event.status && result) {
-                        if (result.status === 'complete') {
-                            console.log('CaseForm: Async file assembly complete');
-                            setLoading(false);
-                            showSuccess(caseNumber);
-                        } else if (result.status === 'processing') {
-                            // Still processing, poll again
-                            pollUploadStatus(caseId, uploadKey, fileName, caseNumber, attempt + 1);
-                        } else {
-                            // Error
-                            console.error('CaseForm: Async assembly error -', result.error);
-                            setLoading(false);
-                            showSuccess(caseNumber);
-                            showError('Your case was created, but the file could not be attached: ' + (result.error || 'Processing failed.'));
-                        }
-                    } else {
+        return new Promise(function(resolve) {
+            setTimeout(resolve, delay);
+        })
+            .then(function() {
+                return invokeRemote(formConfig.checkUploadStatusAction, [caseId, uploadKey, fileName], 30000)
+                    .catch(function() {
                         // Remote action failed - retry
                         console.warn('CaseForm: Status check failed, retrying...');
-                        pollUploadStatus(caseId, uploadKey, fileName, caseNumber, attempt + 1);
-                    }
-                },
-                { escape: false, timeout: 30000 }
-            );
-        }, delay);
+                        return { status: 'processing' };
+                    });
+            })
+            .then(function(result) {
+                if (result && result.status === 'complete') {
+                    console.log('CaseForm: Async file assembly complete');
+                    return 'complete';
+                }
+                if (result && result.status === 'processing') {
+                    // Still processing, poll again
+                    return pollUploadStatus(caseId, uploadKey, fileName, attempt + 1);
+                }
+                throw new Error(result && result.error ? result.error : 'Processing failed.');
+            });
     }
 
     /**
@@ -616,18 +1231,19 @@
     }
 
     /**
-     * Reset reCAPTCHA widget
+     * Reset CAPTCHA widget
      */
     function resetCaptcha() {
-        if (typeof grecaptcha !== 'undefined') {
+        var captchaApi = getCaptchaApi();
+        if (captchaApi) {
             try {
                 // Only reset for v2 types (v3 doesn't have a widget to reset)
                 var captchaType = formConfig.captchaType || 'V2_Checkbox';
                 if (captchaType !== 'V3_Score') {
-                    grecaptcha.reset();
+                    captchaApi.reset(getCaptchaWidget());
                 }
             } catch (e) {
-                console.error('CaseForm: Error resetting reCAPTCHA:', e);
+                console.error('CaseForm: Error resetting CAPTCHA:', e);
             }
         }
     }
@@ -654,32 +1270,139 @@
 
     /**
      * Validate form fields
+     * @param {number} [page] - Only validate fields on this page of a multi-step form
      * @returns {Array} Array of error messages
      */
-    function validateForm(form) {
+    function validateForm(form, page) {
         var errors = [];
-        var inputs = form.querySelectorAll('[data-required="true"]');
-
-        inputs.forEach(function(input) {
-            var value = input.value.trim();
-            var label = input.getAttribute('data-label') || 'This field';
+        var containers = form.querySelectorAll('.form-field[data-name]');
+        var ruleState = evaluateFieldRules(form);
 
-            if (!value) {
-                errors.push(label + ' is required.');
-                input.classList.add('error');
+        containers.forEach(function(container) {
+            var state = ruleState[container.getAttribute('data-name').toLowerCase()];
+            if (!state.visible || (page !== undefined && getPageOf(container) !== page)) {
+                return;
+            }
+            var type = container.getAttribute('data-field-type');
+            var label = container.getAttribute('data-label') || 'This field';
+            var required = state.required;
+            var value = getFieldValue(container);
+            // An unchecked single checkbox submits 'false' but counts as empty for "required"
+            var isEmpty = !value || (type === 'Checkbox' && value === 'false');
+            var error = null;
+
+            if (isEmpty) {
+                if (required) {
+                    error = label + ' is required.';
+                }
             } else {
-                // Email validation
-                if (input.type === 'email' && !isValidEmail(value)) {
-                    errors.push('Please enter a valid email address.');
-                    input.classList.add('error');
+                error = getTypeError(type, label, value) || getRuleError(container, label, value);
+            }
+
+            var target = container.querySelector('.option-group') || container.querySelector('.form-input');
+            if (error) {
+                errors.push(error);
+                if (target) {
+                    target.classList.add('error');
                 }
-                input.classList.remove('error');
+            } else if (target) {
+                target.classList.remove('error');
             }
         });
 
         return errors;
     }
 
+    /**
+     * Type-specific validation for a non-empty value
+     * @returns {string|null} Error message, or null if valid
+     */
+    function getTypeError(type, label, value) {
+        if (type === 'Email' && !isValidEmail(value)) {
+            return 'Please enter a valid email address.';
+        }
+        if (type === 'Number' && !isFinite(Number(value))) {
+            return label + ' must be a number.';
+        }
+        if (type === 'URL' && !isValidUrl(value)) {
+            return label + ' must be a valid URL starting with http:// or https://.';
+        }
+        if (type === 'Date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            return label + ' must be a valid date.';
+        }
+        return null;
+    }
+
+    /**
+     * Check a type-valid value against the field's validation rules (data-min-length,
+     * data-max-length, data-min-value, data-max-value, data-validation-pattern).
+     * Mirrors FormFieldValidator.validateRules; the pattern must match the whole value.
+     * @returns {string|null} Error message, or null if valid
+     */
+    function getRuleError(container, label, value) {
+        var text = String(value).trim();
+        var minLength = parseInt(container.getAttribute('data-min-length'), 10);
+        var maxLength = parseInt(container.getAttribute('data-max-length'), 10);
+        var minValue = parseFloat(container.getAttribute('data-min-value'));
+        var maxValue = parseFloat(container.getAttribute('data-max-value'));
+        var pattern = container.getAttribute('data-validation-pattern');
+
+        if (!isNaN(minLength) && text.length < minLength) {
+            return label + ' must be at least ' + minLength + ' characters.';
+        }
+        if (!isNaN(maxLength) && text.length > maxLength) {
+            return label + ' must be ' + maxLength + ' characters or fewer.';
+        }
+        if (container.getAttribute('data-field-type') === 'Number') {
+            if (!isNaN(minValue) && Number(text) < minValue) {
+                return label + ' must be at least ' + minValue + '.';
+            }
+            if (!isNaN(maxValue) && Number(text) > maxValue) {
+                return label + ' must be no more than ' + maxValue + '.';
+            }
+        }
+        if (pattern) {
+            var re = null;
+            try {
+                re = new RegExp('^(?:' + pattern + ')$');
+            } catch (err) {
+                // Not valid in JavaScript; the server still checks it
+                console.warn('CaseForm: Skipping validation pattern for', label, '-', err.message);
+            }
+            if (re && !re.test(text)) {
+                return container.getAttribute('data-validation-message') || label + ' is not in the expected format.';
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Mark the inputs named in a server fieldErrors map (Case field -> message)
+     * and, on a multi-step form, show the step of the first one
+     */
+    function showFieldErrors(fieldErrors) {
+        var form = document.getElementById('caseForm');
+        if (!form || !fieldErrors) {
+            return;
+        }
+        var firstPage = null;
+        form.querySelectorAll('.form-field[data-name]').forEach(function(container) {
+            if (!fieldErrors.hasOwnProperty(container.getAttribute('data-name'))) {
+                return;
+            }
+            var target = container.querySelector('.option-group') || container.querySelector('.form-input');
+            if (target) {
+                target.classList.add('error');
+            }
+            if (firstPage === null) {
+                firstPage = getPageOf(container);
+            }
+        });
+        if (firstPage !== null && isMultiStep()) {
+            showStep(form, firstPage);
+        }
+    }
+
     /**
      * Simple email validation
      */
@@ -688,23 +1411,333 @@
         return re.test(email);
     }
 
+    /**
+     * Simple http(s) URL validation
+     */
+    function isValidUrl(url) {
+        return /^https?:\/\/[^\s/$.?#][^\s]*$/i.test(url);
+    }
+
+    /**
+     * Read the current value of a field container (.form-field[data-name])
+     * Radio returns the checked value, MultiSelect joins checked values with ';'
+     * (Salesforce multi-select format), a single Checkbox returns 'true' or 'false'.
+     */
+    function getFieldValue(container) {
+        var type = container.getAttribute('data-field-type');
+        var inputs = container.querySelectorAll('input, select, textarea');
+
+        if (type === 'Checkbox') {
+            return inputs.length > 0 && inputs[0].checked ? 'true' : 'false';
+        }
+
+        if (type === 'Radio' || type === 'MultiSelect') {
+            var checked = [];
+            for (var i = 0; i < inputs.length; i++) {
+                if (inputs[i].checked) {
+                    checked.push(inputs[i].value);
+                }
+            }
+            return checked.join(';');
+        }
+
+        return inputs.length > 0 ? inputs[0].value.trim() : '';
+    }
+
     /**
      * Collect field values from form
      * @returns {Object} Map of field names to values
      */
     function collectFieldValues(form) {
         var values = {};
-        var inputs = form.querySelectorAll('input[name], textarea[name]');
-
-        inputs.forEach(function(input) {
-            if (input.type !== 'file' && input.name) {
-                values[input.name] = input.value.trim();
+        var containers = form.querySelectorAll('.form-field[data-name]');
+        var ruleState = evaluateFieldRules(form);
+
+        containers.forEach(function(container) {
+            var name = container.getAttribute('data-name');
+            // Hidden conditional fields are not submitted
+            if (ruleState[name.toLowerCase()].visible) {
+                values[name] = getFieldValue(container);
             }
         });
 
         return values;
     }
 
+    /**
+     * Add the honeypot value and render token for the server's bot check (see SubmissionBotCheck).
+     * The keys can't clash with field names and are removed before the values are used.
+     * @param {Object} fieldValues Values from collectFieldValues
+     */
+    function addBotCheckValues(fieldValues) {
+        var honeypot = document.getElementById('wtcWebsite');
+        if (honeypot) {
+            fieldValues._honeypot = honeypot.value;
+        }
+        if (formConfig.renderToken) {
+            fieldValues._renderToken = formConfig.renderToken;
+        }
+    }
+
+    /**
+     * Read the field definitions (including conditional rules) from the rendered containers
+     * @returns {Array} Objects shaped like the REST config fields: caseField, type, required, condition
+     */
+    function getFieldDefinitions(form) {
+        var definitions = [];
+        var containers = form.querySelectorAll('.form-field[data-name]');
+
+        containers.forEach(function(container) {
+            var dependsOn = container.getAttribute('data-depends-on');
+            var operator = container.getAttribute('data-condition-operator');
+            definitions.push({
+                caseField: container.getAttribute('data-name'),
+                type: container.getAttribute('data-field-type'),
+                required: container.getAttribute('data-required') === 'true',
+                condition: dependsOn && operator ? {
+                    dependsOn: dependsOn,
+                    operator: operator,
+                    value: container.getAttribute('data-condition-value') || '',
+                    action: container.getAttribute('data-condition-action') || 'Show'
+                } : null,
+                value: getFieldValue(container)
+            });
+        });
+
+        return definitions;
+    }
+
+    /**
+     * Evaluate conditional visibility/required rules (mirrors FormFieldRules.cls)
+     * A hidden controlling field counts as blank; rules pointing at a missing field
+     * or forming a cycle are ignored.
+     * @returns {Object} Map of lower-case Case field name to { visible, required }
+     */
+    function evaluateFieldRules(form) {
+        var fields = getFieldDefinitions(form);
+        var byName = {};
+        var visibility = {};
+        var state = {};
+
+        fields.forEach(function(field) {
+            byName[field.caseField.toLowerCase()] = field;
+        });
+
+        function conditionMet(field, visiting) {
+            var controllerName = field.condition.dependsOn.toLowerCase();
+            var controller = byName[controllerName];
+            if (!controller || visiting[controllerName]) {
+                return true;
+            }
+            var controllerValue = resolveVisible(controllerName, visiting) ? controller.value : '';
+            if (controller.type === 'Checkbox' && !controllerValue.trim()) {
+                controllerValue = 'false';
+            }
+            return conditionMatches(field.condition.operator, controllerValue, field.condition.value, controller.type);
+        }
+
+        function resolveVisible(name, visiting) {
+            if (visibility.hasOwnProperty(name)) {
+                return visibility[name];
+            }
+            var field = byName[name];
+            var visible = true;
+            if (field && field.condition && field.condition.action !== 'Require') {
+                visiting[name] = true;
+                visible = conditionMet(field, visiting);
+            }
+            visibility[name] = visible;
+            return visible;
+        }
+
+        fields.forEach(function(field) {
+            var name = field.caseField.toLowerCase();
+            var visible = resolveVisible(name, {});
+            var required = visible && field.required;
+            if (visible && !required && field.condition && field.condition.action === 'Require') {
+                var visiting = {};
+                visiting[name] = true;
+                required = conditionMet(field, visiting);
+            }
+            state[name] = { visible: visible, required: required };
+        });
+
+        return state;
+    }
+
+    /**
+     * Compare a controlling value with a condition (trimmed, case-insensitive).
+     * For Multi-Select controllers, equals matches any one of the selected options.
+     */
+    function conditionMatches(operator, actual, expected, controllerType) {
+        var actualValue = (actual || '').trim().toLowerCase();
+        var expectedValue = (expected || '').trim().toLowerCase();
+
+        switch (operator) {
+            case 'IsBlank':
+                return !actualValue;
+            case 'IsNotBlank':
+                return !!actualValue;
+            case 'Contains':
+                return actualValue.indexOf(expectedValue) !== -1;
+            case 'Equals':
+            case 'NotEquals':
+                var candidates = controllerType === 'MultiSelect' ? actualValue.split(';') : [actualValue];
+                var equal = candidates.some(function(candidate) {
+                    return candidate.trim() === expectedValue;
+                });
+                return operator === 'Equals' ? equal : !equal;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Show/hide conditional fields and toggle conditional required markers
+     */
+    function applyFieldRules(form) {
+        var ruleState = evaluateFieldRules(form);
+        var changed = false;
+
+        form.querySelectorAll('.form-field[data-name]').forEach(function(container) {
+            var state = ruleState[container.getAttribute('data-name').toLowerCase()];
+            var display = state.visible ? '' : 'none';
+            if (container.style.display !== display) {
+                container.style.display = display;
+                changed = true;
+            }
+            container.querySelectorAll('.conditional-required').forEach(function(marker) {
+                marker.style.display = state.required ? '' : 'none';
+            });
+        });
+
+        if (isMultiStep()) {
+            // A rule change can add or remove steps
+            showStep(form, currentPage);
+        } else if (changed && formConfig.isEmbedMode) {
+            notifyResize();
+        }
+    }
+
+    /**
+     * Whether the page was rendered as a multi-step form
+     */
+    function isMultiStep() {
+        return !!document.getElementById('nextButton');
+    }
+
+    /**
+     * Page number of a field container (fields without a page are on page 1)
+     */
+    function getPageOf(container) {
+        return parseInt(container.getAttribute('data-page'), 10) || 1;
+    }
+
+    /**
+     * Pages that currently have at least one visible field, in ascending order
+     * (a step whose fields are all hidden by conditional rules is skipped)
+     */
+    function getActivePages(form) {
+        var ruleState = evaluateFieldRules(form);
+        var pages = [];
+
+        form.querySelectorAll('.form-field[data-name]').forEach(function(container) {
+            var page = getPageOf(container);
+            if (ruleState[container.getAttribute('data-name').toLowerCase()].visible && pages.indexOf(page) === -1) {
+                pages.push(page);
+            }
+        });
+
+        pages.sort(function(a, b) { return a - b; });
+        return pages.length > 0 ? pages : [1];
+    }
+
+    /**
+     * Whether the current page is the last active page
+     */
+    function isLastStep(form) {
+        var pages = getActivePages(form);
+        return currentPage >= pages[pages.length - 1];
+    }
+
+    /**
+     * Show one page of a multi-step form and update the progress indicator and buttons
+     */
+    function showStep(form, page) {
+        var pages = getActivePages(form);
+
+        // If rules emptied the requested page, land on the next active one
+        var stepIndex = 0;
+        while (stepIndex < pages.length - 1 && pages[stepIndex] < page) {
+            stepIndex++;
+        }
+        page = pages[stepIndex];
+        currentPage = page;
+        var isFirst = page <= pages[0];
+        var isLast = page >= pages[pages.length - 1];
+
+        form.querySelectorAll('.form-field[data-name]').forEach(function(container) {
+            container.classList.toggle('off-step', getPageOf(container) !== page);
+        });
+        form.querySelectorAll('.final-step').forEach(function(el) {
+            el.classList.toggle('off-step', !isLast);
+        });
+        document.getElementById('backButton').classList.toggle('off-step', isFirst);
+        document.getElementById('nextButton').classList.toggle('off-step', isLast);
+
+        var label = document.getElementById('progressLabel');
+        var bar = document.getElementById('progressBar');
+        if (label) {
+            label.textContent = 'Step ' + (stepIndex + 1) + ' of ' + pages.length;
+        }
+        if (bar) {
+            bar.style.width = Math.round(((stepIndex + 1) / pages.length) * 100) + '%';
+            bar.parentNode.setAttribute('aria-valuenow', String(stepIndex + 1));
+            bar.parentNode.setAttribute('aria-valuemax', String(pages.length));
+        }
+
+        if (formConfig.isEmbedMode) {
+            notifyResize();
+        }
+    }
+
+    /**
+     * Validate the current page and move to the next active page
+     */
+    function goToNextStep(form) {
+        var errors = validateForm(form, currentPage);
+        if (errors.length > 0) {
+            showError(errors.join('<br>'));
+            return;
+        }
+        hideError();
+
+        var pages = getActivePages(form);
+        for (var i = 0; i < pages.length; i++) {
+            if (pages[i] > currentPage) {
+                showStep(form, pages[i]);
+                form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                return;
+            }
+        }
+    }
+
+    /**
+     * Move to the previous active page (no validation)
+     */
+    function goToPreviousStep(form) {
+        hideError();
+
+        var pages = getActivePages(form);
+        for (var i = pages.length - 1; i >= 0; i--) {
+            if (pages[i] < currentPage) {
+                showStep(form, pages[i]);
+                form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                return;
+            }
+        }
+    }
+
     /**
      * Read file as base64
      */
@@ -733,8 +1766,18 @@
      */
     function submitToSalesforce(fieldValues, fileName, fileContent, captchaToken) {
         console.log('CaseForm: Submitting to Salesforce...');
+        invokeSubmit(fieldValues, fileName, fileContent, captchaToken, handleResponse);
+    }
+
+    /**
+     * Call the submit remote action with this form fill's idempotency key.
+     * If an earlier request with the key is still being processed, waits and sends it again
+     * so that the original result comes back instead of a second Case.
+     * @param {Function} callback - Visualforce Remoting callback (result, event)
+     */
+    function invokeSubmit(fieldValues, fileName, fileContent, captchaToken, callback, _attempt) {
+        var attempt = _attempt || 0;
 
-        // Use Visualforce Remoting with captcha token
         Visualforce.remoting.Manager.invokeAction(
             formConfig.remoteAction,
             formConfig.formId,
@@ -742,7 +1785,16 @@
             fileName,
             fileContent,
             captchaToken || '',
-            handleResponse,
+            idempotencyKey,
+            function(result, event) {
+                if (event.status && result && result.inProgress && attempt < MAX_IN_PROGRESS_CHECKS) {
+                    waitForRetry(attempt).then(function() {
+                        invokeSubmit(fieldValues, fileName, fileContent, captchaToken, callback, attempt + 1);
+                    });
+                    return;
+                }
+                callback(result, event);
+            },
             { escape: false, timeout: 120000 }
         );
     }
@@ -755,16 +1807,25 @@
 
         if (event.status) {
             if (result && result.success) {
+                idempotencyKey = null;
                 console.log('CaseForm: Submission successful, case:', result.caseNumber);
                 showSuccess(result.caseNumber);
 
                 if (result.warning) {
                     console.warn('CaseForm: Warning -', result.warning);
                 }
+                // A single small file is attached by the same request
+                if (selectedFiles.length > 0) {
+                    setFileStatus(selectedFiles[0], result.warning ? 'error' : 'complete',
+                        result.warning ? 'Not attached: ' + result.warning : 'Attached');
+                    showFileSummary(selectedFiles);
+                }
             } else {
                 var errorMsg = result && result.error ? result.error : 'An unexpected error occurred.';
                 console.error('CaseForm: Submission failed -', errorMsg);
+                showFieldErrors(result && result.fieldErrors);
                 showError(errorMsg);
+                resetFileStatuses();
                 // Reset captcha on failure so user can try again
                 if (formConfig.enableCaptcha) {
                     resetCaptcha();
@@ -773,6 +1834,7 @@
         } else {
             console.error('CaseForm: Remote action failed -', event.message);
             showError('Unable to submit form. Please try again later.');
+            resetFileStatuses();
             // Reset captcha on failure
             if (formConfig.enableCaptcha) {
                 resetCaptcha();
@@ -819,8 +1881,10 @@
             form.style.display = 'none';
         }
 
-        if (caseNumberSpan && caseNumber) {
-            caseNumberSpan.textContent = caseNumber;
+        if (caseNumberSpan) {
+            // Repeat submissions linked to an earlier Case get no case number
+            caseNumberSpan.textContent = caseNumber || '';
+            caseNumberSpan.parentNode.style.display = caseNumber ? '' : 'none';
         }
 
         if (successDiv) {
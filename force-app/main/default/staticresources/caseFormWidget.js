@@ -1,4 +1,4 @@
-/* global grecaptcha, imageCompression */
+/* global imageCompression */
 /* eslint @lwc/lwc/no-inner-html: "off", no-prototype-builtins: "off" */
 /**
  * Web-to-Case Embeddable Widget
@@ -29,7 +29,30 @@
     // Image compression settings
     var TARGET_SIZE_MB = 0.7;
     var MAX_IMAGE_SIZE = 25 * 1024 * 1024; // 25MB for images
-    var MAX_DOC_SIZE = 4 * 1024 * 1024;    // 4MB for documents (async assembly supports up to ~4MB)
+
+    // Number of files uploaded at the same time once the Case exists
+    var UPLOAD_CONCURRENCY = 2;
+
+    // Failed chunk requests are retried with exponential backoff: 1s, 2s, 4s, 8s, 16s
+    var MAX_CHUNK_RETRIES = 5;
+    var RETRY_BASE_DELAY = 1000;
+
+    // While an earlier request with the same idempotency key is still being processed,
+    // the submission is sent again with the same backoff, up to this many times
+    var MAX_IN_PROGRESS_CHECKS = 5;
+
+    // Unfinished uploads are kept in sessionStorage so they can resume after a reload,
+    // for as long as the server still accepts uploads to the Case (15 minutes)
+    var PENDING_UPLOADS_TTL = 15 * 60 * 1000;
+
+    // Global API each CAPTCHA provider's script defines, by form config captchaProvider.
+    // All three share render/getResponse/reset/execute; only reCAPTCHA has v3 scoring.
+    var CAPTCHA_APIS = {
+        reCAPTCHA: 'grecaptcha',
+        hCaptcha: 'hcaptcha',
+        Turnstile: 'turnstile'
+    };
+    var RECAPTCHA_SCRIPT_URL = 'https://www.google.com/recaptcha/api.js';
 
     // Supported image types for compression
     var SUPPORTED_IMAGE_TYPES = [
@@ -83,6 +106,10 @@
         this.captchaWidgetId = null;
         this.captchaResolve = null;
         this.imageCompression = null;
+        this.currentPage = null;
+        this.selectedFiles = [];
+        this.pendingUploads = null;
+        this.idempotencyKey = null;
     }
 
     FormWidget.prototype = {
@@ -104,6 +131,7 @@
                     self.formConfig = config;
                     self.render();
                     self.loadDependencies();
+                    self.showPendingUploadsNotice();
                 })
                 .catch(function(error) {
                     self.showError('Failed to load form: ' + error);
@@ -171,8 +199,18 @@
             }
 
             // Form
+            var multiStep = this.getPageCount(config.fields) > 1;
             html += '<form class="wtc-form" id="wtcForm">';
 
+            // Progress indicator (multi-step forms only; text and width set by showStep)
+            if (multiStep) {
+                html += '<div class="wtc-progress">';
+                html += '<div class="wtc-progress-label" id="wtcProgressLabel"></div>';
+                html += '<div class="wtc-progress-track" role="progressbar" aria-valuemin="1" aria-labelledby="wtcProgressLabel">';
+                html += '<div class="wtc-progress-bar" id="wtcProgressBar"></div>';
+                html += '</div></div>';
+            }
+
             // Fields
             for (var i = 0; i < config.fields.length; i++) {
                 var field = config.fields[i];
@@ -181,26 +219,47 @@
 
             // File upload (if enabled)
             if (config.enableFileUpload) {
-                html += '<div class="wtc-field">';
-                html += '<label for="wtcFile">Attachment</label>';
-                html += '<input type="file" id="wtcFile" class="wtc-file-input" />';
-                html += '<span class="wtc-help">Max ' + config.maxFileSizeMB + 'MB. Images are automatically optimized.</span>';
+                var maxFiles = this.getMaxFileCount();
+                html += '<div class="wtc-field wtc-final-step">';
+                html += '<label for="wtcFile">' + (maxFiles > 1 ? 'Attachments' : 'Attachment') + '</label>';
+                html += '<input type="file" id="wtcFile" class="wtc-file-input"' +
+                    (config.allowedFileTypes ? ' accept="' + this.escapeHtml(config.allowedFileTypes) + '"' : '') +
+                    (maxFiles > 1 ? ' multiple' : '') + ' />';
+                html += '<ul class="wtc-file-list" id="wtcFileList"></ul>';
+                html += '<span class="wtc-help">' + (maxFiles > 1 ? 'Up to ' + maxFiles + ' files. ' : '') +
+                    'Max ' + config.maxFileSizeMB + 'MB' + (maxFiles > 1 ? ' each' : '') +
+                    (config.maxTotalSizeMB ? ', ' + config.maxTotalSizeMB + 'MB in total' : '') +
+                    (config.allowedFileTypes ? '. Accepted types: ' + this.escapeHtml(config.allowedFileTypes) : '') +
+                    '. Images are automatically optimized.</span>';
                 html += '</div>';
             }
 
             // CAPTCHA placeholder (rendered in light DOM)
             if (config.enableCaptcha) {
-                html += '<div class="wtc-field wtc-captcha-placeholder">';
+                html += '<div class="wtc-field wtc-captcha-placeholder wtc-final-step">';
                 html += '<div id="wtcCaptchaContainer"></div>';
                 html += '<span class="wtc-captcha-error" id="wtcCaptchaError" style="display:none;">Please complete the verification.</span>';
                 html += '</div>';
             }
 
+            // Honeypot (bot check, hidden from people)
+            if (config.honeypotField) {
+                html += this.getHoneypotHtml();
+            }
+
             // Error message
             html += '<div class="wtc-error-message" id="wtcError" style="display:none;"></div>';
 
+            // Back/Next (multi-step forms only)
+            if (multiStep) {
+                html += '<div class="wtc-nav">';
+                html += '<button type="button" class="wtc-back" id="wtcBack">Back</button>';
+                html += '<button type="button" class="wtc-submit" id="wtcNext">Next</button>';
+                html += '</div>';
+            }
+
             // Submit button
-            html += '<button type="submit" class="wtc-submit" id="wtcSubmit">Submit</button>';
+            html += '<button type="submit" class="wtc-submit wtc-final-step" id="wtcSubmit">Submit</button>';
 
             html += '</form>';
 
@@ -209,6 +268,7 @@
             html += '<div class="wtc-success-icon">&#10003;</div>';
             html += '<p>' + this.escapeHtml(config.successMessage || 'Your request has been submitted successfully.') + '</p>';
             html += '<p class="wtc-case-number">Reference: <span id="wtcCaseNumber"></span></p>';
+            html += '<ul class="wtc-file-list wtc-file-summary" id="wtcFileSummary" style="display:none;"></ul>';
             html += '</div>';
 
             html += '</div>';
@@ -228,29 +288,80 @@
          * Render a single form field
          */
         renderField: function(field) {
-            var html = '<div class="wtc-field">';
+            var html = '<div class="wtc-field" data-name="' + this.escapeHtml(field.caseField) + '" data-page="' +
+                       this.getFieldPage(field) + '">';
             var inputId = 'wtcField_' + field.caseField;
             var required = field.required ? ' data-required="true"' : '';
             var requiredMark = field.required ? '<span class="wtc-required">*</span>' : '';
+            if (!field.required && field.condition && field.condition.action === 'Require') {
+                // Shown by applyFieldRules() while the condition is met
+                requiredMark = '<span class="wtc-required wtc-conditional-required" style="display:none;">*</span>';
+            }
+            var dataLabel = ' data-label="' + this.escapeHtml(field.label) + '"';
+            var options = field.options || [];
+            var j;
 
-            html += '<label for="' + inputId + '">' + this.escapeHtml(field.label) + requiredMark + '</label>';
+            if (field.type !== 'Checkbox') {
+                html += '<label for="' + inputId + '">' + this.escapeHtml(field.label) + requiredMark + '</label>';
+            }
 
             switch (field.type) {
                 case 'Textarea':
                     html += '<textarea id="' + inputId + '" name="' + field.caseField + '" class="wtc-input wtc-textarea"' +
-                            required + ' data-label="' + this.escapeHtml(field.label) + '"></textarea>';
+                            required + dataLabel + '></textarea>';
                     break;
                 case 'Email':
                     html += '<input type="email" id="' + inputId + '" name="' + field.caseField + '" class="wtc-input"' +
-                            required + ' data-label="' + this.escapeHtml(field.label) + '" />';
+                            required + dataLabel + ' />';
                     break;
                 case 'Phone':
                     html += '<input type="tel" id="' + inputId + '" name="' + field.caseField + '" class="wtc-input"' +
-                            required + ' data-label="' + this.escapeHtml(field.label) + '" />';
+                            required + dataLabel + ' />';
+                    break;
+                case 'Date':
+                    html += '<input type="date" id="' + inputId + '" name="' + field.caseField + '" class="wtc-input"' +
+                            required + dataLabel + ' />';
+                    break;
+                case 'Number':
+                    html += '<input type="number" step="any" id="' + inputId + '" name="' + field.caseField + '" class="wtc-input"' +
+                            required + dataLabel + ' />';
+                    break;
+                case 'URL':
+                    html += '<input type="url" id="' + inputId + '" name="' + field.caseField + '" class="wtc-input"' +
+                            required + dataLabel + ' placeholder="https://" />';
+                    break;
+                case 'Picklist':
+                    html += '<select id="' + inputId + '" name="' + field.caseField + '" class="wtc-input wtc-select"' +
+                            required + dataLabel + '>';
+                    html += '<option value="">-- Select --</option>';
+                    for (j = 0; j < options.length; j++) {
+                        html += '<option value="' + this.escapeHtml(options[j].value) + '">' +
+                                this.escapeHtml(options[j].label) + '</option>';
+                    }
+                    html += '</select>';
+                    break;
+                case 'Radio':
+                case 'MultiSelect':
+                    var inputType = field.type === 'Radio' ? 'radio' : 'checkbox';
+                    html += '<div id="' + inputId + '" class="wtc-options" role="' +
+                            (field.type === 'Radio' ? 'radiogroup' : 'group') + '"' + required + dataLabel + '>';
+                    for (j = 0; j < options.length; j++) {
+                        html += '<label class="wtc-option">' +
+                                '<input type="' + inputType + '" name="' + field.caseField + '" value="' +
+                                this.escapeHtml(options[j].value) + '" />' +
+                                '<span>' + this.escapeHtml(options[j].label) + '</span></label>';
+                    }
+                    html += '</div>';
+                    break;
+                case 'Checkbox':
+                    html += '<label class="wtc-option" for="' + inputId + '">' +
+                            '<input type="checkbox" id="' + inputId + '" name="' + field.caseField + '" value="true"' +
+                            required + dataLabel + ' />' +
+                            '<span>' + this.escapeHtml(field.label) + requiredMark + '</span></label>';
                     break;
                 default:
                     html += '<input type="text" id="' + inputId + '" name="' + field.caseField + '" class="wtc-input"' +
-                            required + ' data-label="' + this.escapeHtml(field.label) + '" />';
+                            required + dataLabel + ' />';
             }
 
             html += '</div>';
@@ -279,6 +390,125 @@
                     self.hideError();
                 });
             }
+
+            // Radio/checkbox controls only fire 'change'
+            var choices = this.shadowRoot.querySelectorAll('.wtc-options, .wtc-option input');
+            for (var c = 0; c < choices.length; c++) {
+                choices[c].addEventListener('change', function() {
+                    this.classList.remove('wtc-input-error');
+                    self.hideError();
+                });
+            }
+
+            // Re-evaluate conditional fields whenever any value changes
+            if (form) {
+                form.addEventListener('input', function() {
+                    self.applyFieldRules();
+                });
+                form.addEventListener('change', function() {
+                    self.applyFieldRules();
+                });
+            }
+
+            // File selection: each choice adds to the list of files to attach
+            var fileInput = this.shadowRoot.getElementById('wtcFile');
+            if (fileInput) {
+                fileInput.addEventListener('change', function() {
+                    self.hideError();
+                    self.addFiles(fileInput.files);
+                    fileInput.value = '';
+                });
+                this.getFileListEl().addEventListener('click', function(e) {
+                    self.handleFileListClick(e);
+                });
+            }
+
+            // Multi-step navigation
+            var nextButton = this.shadowRoot.getElementById('wtcNext');
+            var backButton = this.shadowRoot.getElementById('wtcBack');
+            if (nextButton) {
+                nextButton.addEventListener('click', function() {
+                    self.goToNextStep();
+                });
+                backButton.addEventListener('click', function() {
+                    self.goToPreviousStep();
+                });
+                this.currentPage = this.getActivePages(this.formConfig.fields, this.getRuleState())[0];
+            }
+
+            this.applyFieldRules();
+        },
+
+        /**
+         * Show/hide conditional fields and toggle conditional required markers
+         */
+        applyFieldRules: function() {
+            var ruleState = this.getRuleState();
+            var wrappers = this.shadowRoot.querySelectorAll('.wtc-field[data-name]');
+
+            for (var i = 0; i < wrappers.length; i++) {
+                var state = ruleState[wrappers[i].getAttribute('data-name').toLowerCase()];
+                if (!state) continue;
+                wrappers[i].style.display = state.visible ? '' : 'none';
+                var markers = wrappers[i].querySelectorAll('.wtc-conditional-required');
+                for (var m = 0; m < markers.length; m++) {
+                    markers[m].style.display = state.required ? '' : 'none';
+                }
+            }
+
+            // A rule change can add or remove steps
+            if (this.isMultiStep()) {
+                this.showStep(this.currentPage);
+            }
+        },
+
+        /**
+         * Evaluate conditional rules against the current values in the widget
+         */
+        getRuleState: function() {
+            return this.evaluateFieldRules(this.formConfig.fields || [], this.readAllFieldValues(this.shadowRoot));
+        },
+
+        /**
+         * Whether the widget was rendered as a multi-step form
+         */
+        isMultiStep: function() {
+            return !!this.shadowRoot.getElementById('wtcNext');
+        },
+
+        /**
+         * Show one page of a multi-step form and update the progress indicator and buttons
+         */
+        showStep: function(page) {
+            var pages = this.getActivePages(this.formConfig.fields, this.getRuleState());
+            var position = this.getStepPosition(pages, page);
+            var root = this.shadowRoot;
+            var i;
+            // If rules emptied the requested page, land on the next active one
+            page = pages[position.step - 1];
+            this.currentPage = page;
+
+            var wrappers = root.querySelectorAll('.wtc-field[data-page]');
+            for (i = 0; i < wrappers.length; i++) {
+                wrappers[i].classList.toggle('wtc-off-step', parseInt(wrappers[i].getAttribute('data-page'), 10) !== page);
+            }
+            var finalStep = root.querySelectorAll('.wtc-final-step');
+            for (i = 0; i < finalStep.length; i++) {
+                finalStep[i].classList.toggle('wtc-off-step', !position.isLast);
+            }
+            root.getElementById('wtcBack').classList.toggle('wtc-off-step', position.isFirst);
+            root.getElementById('wtcNext').classList.toggle('wtc-off-step', position.isLast);
+
+            root.getElementById('wtcProgressLabel').textContent = 'Step ' + position.step + ' of ' + position.total;
+            var bar = root.getElementById('wtcProgressBar');
+            bar.style.width = Math.round((position.step / position.total) * 100) + '%';
+            bar.parentNode.setAttribute('aria-valuenow', String(position.step));
+            bar.parentNode.setAttribute('aria-valuemax', String(position.total));
+
+            // CAPTCHA lives in the light DOM, outside the step containers
+            if (this.captchaLightContainer) {
+                this.captchaLightContainer.style.display = position.isLast ? '' : 'none';
+            }
         },
 
         /**
@@ -290,9 +520,13 @@
                 this.loadImageCompression();
             }
 
-            // Load reCAPTCHA if enabled
+            // Load CAPTCHA if enabled
             if (this.formConfig.enableCaptcha && this.formConfig.captchaSiteKey) {
                 this.loadCaptcha();
+                // The CAPTCHA container only belongs on the last step
+                if (this.isMultiStep()) {
+                    this.showStep(this.currentPage);
+                }
             }
         },
 
@@ -318,7 +552,7 @@
         },
 
         /**
-         * Load reCAPTCHA
+         * Load the configured CAPTCHA provider (reCAPTCHA, hCaptcha or Turnstile)
          * Note: CAPTCHA must be rendered in light DOM due to callback issues with Shadow DOM
          */
         loadCaptcha: function() {
@@ -357,10 +591,10 @@
 
             this.captchaLightContainer = lightContainer;
 
-            // Load reCAPTCHA script
+            // Load the provider's script (v3 is reCAPTCHA only)
             var scriptUrl = captchaType === 'V3_Score'
-                ? 'https://www.google.com/recaptcha/api.js?render=' + config.captchaSiteKey
-                : 'https://www.google.com/recaptcha/api.js?onload=wtcCaptchaOnload&render=explicit';
+                ? RECAPTCHA_SCRIPT_URL + '?render=' + config.captchaSiteKey
+                : (config.captchaScriptUrl || RECAPTCHA_SCRIPT_URL) + '?onload=wtcCaptchaOnload&render=explicit';
 
             // Setup global callback for v2
             if (captchaType !== 'V3_Score') {
@@ -378,7 +612,7 @@
             }
 
             // If already loaded, render immediately for v2.
-            if (typeof grecaptcha !== 'undefined') {
+            if (this.getCaptchaApi()) {
                 if (captchaType !== 'V3_Score') {
                     this.renderCaptchaWidget();
                 }
@@ -386,7 +620,7 @@
             }
 
             // Prevent duplicate script tags across multiple form instances.
-            if (document.querySelector('script[data-wtc-recaptcha="true"]')) {
+            if (document.querySelector('script[data-wtc-captcha="true"]')) {
                 return;
             }
 
@@ -394,7 +628,7 @@
             script.src = scriptUrl;
             script.async = true;
             script.defer = true;
-            script.setAttribute('data-wtc-recaptcha', 'true');
+            script.setAttribute('data-wtc-captcha', 'true');
             document.head.appendChild(script);
         },
 
@@ -404,8 +638,9 @@
         renderCaptchaWidget: function() {
             var config = this.formConfig;
             var captchaType = config.captchaType || 'V2_Checkbox';
+            var captchaApi = this.getCaptchaApi();
 
-            if (!this.captchaLightContainer || typeof grecaptcha === 'undefined' || this.captchaWidgetId !== null) {
+            if (!this.captchaLightContainer || !captchaApi || this.captchaWidgetId !== null) {
                 return;
             }
 
@@ -415,10 +650,21 @@
 
             if (captchaType === 'V2_Invisible') {
                 params.size = 'invisible';
-                params.callback = 'wtcCaptchaSuccess';
+                // Turnstile and hCaptcha only take a function, not a global name
+                params.callback = function(token) {
+                    window.wtcCaptchaSuccess(token);
+                };
             }
 
-            this.captchaWidgetId = grecaptcha.render(this.captchaLightContainer.id, params);
+            this.captchaWidgetId = captchaApi.render(this.captchaLightContainer, params);
+        },
+
+        /**
+         * Global API of the configured CAPTCHA provider, or undefined until its script has loaded
+         */
+        getCaptchaApi: function() {
+            var provider = this.formConfig && this.formConfig.captchaProvider;
+            return window[CAPTCHA_APIS[provider] || CAPTCHA_APIS.reCAPTCHA];
         },
 
         /**
@@ -435,28 +681,29 @@
                 }
 
                 var captchaType = config.captchaType || 'V2_Checkbox';
+                var captchaApi = self.getCaptchaApi();
 
                 if (captchaType === 'V3_Score') {
-                    if (typeof grecaptcha === 'undefined') {
-                        reject(new Error('reCAPTCHA not loaded'));
+                    if (!captchaApi) {
+                        reject(new Error('CAPTCHA not loaded'));
                         return;
                     }
-                    grecaptcha.ready(function() {
-                        grecaptcha.execute(config.captchaSiteKey, { action: 'submit' })
+                    captchaApi.ready(function() {
+                        captchaApi.execute(config.captchaSiteKey, { action: 'submit' })
                             .then(resolve)
                             .catch(reject);
                     });
                 } else if (captchaType === 'V2_Invisible') {
-                    if (typeof grecaptcha === 'undefined') {
-                        reject(new Error('reCAPTCHA not loaded'));
+                    if (!captchaApi) {
+                        reject(new Error('CAPTCHA not loaded'));
                         return;
                     }
                     self.captchaResolve = resolve;
-                    grecaptcha.execute(self.captchaWidgetId);
+                    captchaApi.execute(self.captchaWidgetId);
                 } else {
                     // V2_Checkbox
-                    if (typeof grecaptcha !== 'undefined' && self.captchaWidgetId !== null) {
-                        var token = grecaptcha.getResponse(self.captchaWidgetId);
+                    if (captchaApi && self.captchaWidgetId !== null) {
+                        var token = captchaApi.getResponse(self.captchaWidgetId);
                         resolve(token);
                     } else {
                         resolve('');
@@ -469,10 +716,11 @@
          * Reset CAPTCHA
          */
         resetCaptcha: function() {
-            if (typeof grecaptcha !== 'undefined' && this.captchaWidgetId !== null) {
+            var captchaApi = this.getCaptchaApi();
+            if (captchaApi && this.captchaWidgetId !== null) {
                 var captchaType = this.formConfig.captchaType || 'V2_Checkbox';
                 if (captchaType !== 'V3_Score') {
-                    grecaptcha.reset(this.captchaWidgetId);
+                    captchaApi.reset(this.captchaWidgetId);
                 }
             }
         },
@@ -501,8 +749,23 @@
             var self = this;
             var config = this.formConfig;
 
+            // After a reload, choosing the files whose upload was interrupted finishes that upload
+            if (this.pendingUploads) {
+                if (this.resumePendingUploads(this.selectedFiles)) {
+                    return;
+                }
+                // None of the chosen files were being uploaded: this is a new request
+                this.clearPendingUploads();
+            }
+
+            // On a multi-step form, Enter on an earlier step moves forward instead of submitting
+            if (this.isMultiStep() && !this.isLastStep()) {
+                this.goToNextStep();
+                return;
+            }
+
             // Validate form
-            var errors = this.validateForm();
+            var errors = this.validateSteps();
             if (errors.length > 0) {
                 this.showFormError(errors.join('<br>'));
                 return;
@@ -511,8 +774,9 @@
             // Validate CAPTCHA (for v2 checkbox)
             var captchaType = config.captchaType || 'V2_Checkbox';
             if (config.enableCaptcha && captchaType === 'V2_Checkbox') {
-                if (typeof grecaptcha !== 'undefined' && this.captchaWidgetId !== null) {
-                    var token = grecaptcha.getResponse(this.captchaWidgetId);
+                var captchaApi = this.getCaptchaApi();
+                if (captchaApi && this.captchaWidgetId !== null) {
+                    var token = captchaApi.getResponse(this.captchaWidgetId);
                     if (!token) {
                         this.showCaptchaError();
                         this.showFormError('Please complete the verification.');
@@ -525,17 +789,12 @@
             // Collect field values
             var fieldValues = this.collectFieldValues();
 
-            // Get file
-            var fileInput = this.shadowRoot.getElementById('wtcFile');
-            var file = fileInput && fileInput.files.length > 0 ? fileInput.files[0] : null;
-
-            // Validate file
-            if (file) {
-                var fileValidation = this.validateFile(file);
-                if (!fileValidation.valid) {
-                    this.showFormError(fileValidation.error);
-                    return;
-                }
+            // Files that failed validation (see addFiles) must be removed before submitting
+            var files = this.selectedFiles;
+            var fileError = this.getInvalidFileError(files);
+            if (fileError) {
+                this.showFormError(fileError);
+                return;
             }
 
             this.setLoading(true);
@@ -549,7 +808,7 @@
                         self.showFormError('Verification failed. Please try again.');
                         return;
                     }
-                    self.processSubmission(fieldValues, file, captchaToken);
+                    self.processSubmission(fieldValues, files, captchaToken);
                 })
                 .catch(function(err) {
                     self.setLoading(false);
@@ -560,57 +819,110 @@
 
         /**
          * Process form submission
+         * One small file goes with the form in a single request; otherwise the Case is
+         * created first and every file is uploaded to it in chunks.
          */
-        processSubmission: function(fieldValues, file, captchaToken) {
+        processSubmission: function(fieldValues, files, captchaToken) {
             var self = this;
+            var config = this.formConfig;
+
+            // One key per filled-in form, kept across retries until a submission succeeds,
+            // so double-clicks and resubmits return the original Case instead of creating another
+            this.idempotencyKey = this.idempotencyKey || this.generateUUID();
+
+            if (files.length === 0) {
+                this.submitForm(fieldValues, '', '', captchaToken);
+                return;
+            }
+
+            this.prepareFiles(files)
+                .then(function() {
+                    var totalSize = 0;
+                    for (var i = 0; i < files.length; i++) {
+                        totalSize += files[i].upload.size;
+                    }
+                    if (config.maxTotalSizeMB > 0 && totalSize > config.maxTotalSizeMB * 1024 * 1024) {
+                        self.setLoading(false);
+                        self.showFormError('Attachments exceed the ' + config.maxTotalSizeMB + 'MB total allowed for this form.');
+                        return;
+                    }
+
+                    if (files.length === 1 && files[0].upload.size <= CHUNK_SIZE) {
+                        // Small file: single request
+                        self.readFileAsBase64(files[0].upload)
+                            .then(function(base64) {
+                                self.setFileStatus(files[0], 'uploading', 'Uploading...');
+                                self.submitForm(fieldValues, files[0].fileName, base64, captchaToken);
+                            })
+                            .catch(function() {
+                                self.setLoading(false);
+                                self.showFormError('Error reading file.');
+                            });
+                    } else {
+                        // Several or large files: submit form first, then upload chunks
+                        self.submitFormThenUploadFiles(fieldValues, files, captchaToken);
+                    }
+                })
+                .catch(function() {
+                    self.setLoading(false);
+                    self.showFormError('Error processing file.');
+                });
+        },
 
-            if (file) {
-                // Compress image if needed, then submit
-                this.compressImageIfNeeded(file)
-                    .then(function(processedFile) {
-                        var fileName = file.name;
+        /**
+         * Compress images one at a time and give every file a unique name.
+         * Assembled files are matched by name, so two uploads called "image.png" would collide.
+         * Sets upload (File|Blob) and fileName on each entry.
+         */
+        prepareFiles: function(files) {
+            var self = this;
+            var usedNames = {};
+            return files.reduce(function(chain, item) {
+                return chain.then(function() {
+                    return self.compressImageIfNeeded(item.file).then(function(processedFile) {
+                        var fileName = item.file.name;
                         // Update extension if converted to JPEG
-                        if (processedFile !== file && processedFile.type === 'image/jpeg') {
+                        if (processedFile !== item.file && processedFile.type === 'image/jpeg') {
                             fileName = fileName.replace(/\.(heic|heif|png|webp|bmp)$/i, '.jpg');
                         }
-
-                        if (processedFile.size > CHUNK_SIZE) {
-                            // Large file: submit form first, then upload chunks
-                            self.submitFormThenUploadChunks(fieldValues, processedFile, fileName, captchaToken);
-                        } else {
-                            // Small file: single request
-                            self.readFileAsBase64(processedFile)
-                                .then(function(base64) {
-                                    self.submitForm(fieldValues, fileName, base64, captchaToken);
-                                })
-                                .catch(function() {
-                                    self.setLoading(false);
-                                    self.showFormError('Error reading file.');
-                                });
-                        }
-                    })
-                    .catch(function() {
-                        self.setLoading(false);
-                        self.showFormError('Error processing file.');
+                        item.upload = processedFile;
+                        item.fileName = self.uniqueFileName(fileName, usedNames);
                     });
-            } else {
-                this.submitForm(fieldValues, '', '', captchaToken);
-            }
+                });
+            }, Promise.resolve());
         },
 
         /**
-         * Submit form to REST API
+         * Return fileName, or "name (2).ext" etc. if it is already taken (case-insensitive)
          */
-        submitForm: function(fieldValues, fileName, fileContent, captchaToken, _isRetry) {
+        uniqueFileName: function(fileName, usedNames) {
+            var dot = fileName.lastIndexOf('.');
+            var base = dot > 0 ? fileName.substring(0, dot) : fileName;
+            var extension = dot > 0 ? fileName.substring(dot) : '';
+            var name = fileName;
+            for (var n = 2; usedNames[name.toLowerCase()]; n++) {
+                name = base + ' (' + n + ')' + extension;
+            }
+            usedNames[name.toLowerCase()] = true;
+            return name;
+        },
+
+        /**
+         * POST the form to the submit endpoint with this form fill's idempotency key.
+         * If an earlier request with the key is still being processed, waits and sends it again
+         * so that the original result comes back. Resolves to { status, data }.
+         */
+        postSubmission: function(fieldValues, fileName, fileContent, captchaToken, _attempt) {
             var self = this;
             var config = this.formConfig;
-            var url = this.options.apiBase + '/webtocase/v1/submit';
+            var attempt = _attempt || 0;
 
-            fetch(url, {
+            return fetch(this.options.apiBase + '/webtocase/v1/submit', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
-                    'Accept': 'application/json'
+                    'Accept': 'application/json',
+                    'Idempotency-Key': this.idempotencyKey
                 },
                 credentials: 'omit',
                 body: JSON.stringify({
@@ -619,7 +931,9 @@
                     fieldValues: fieldValues,
                     fileName: fileName,
                     fileContent: fileContent,
-                    captchaToken: captchaToken
+                    captchaToken: captchaToken,
+                    honeypot: this.getHoneypotValue(),
+                    renderToken: config.renderToken
                 })
             })
             .then(function(response) {
@@ -627,10 +941,56 @@
                     return { status: response.status, data: data };
                 });
             })
+            .then(function(result) {
+                if (result.data.inProgress && attempt < MAX_IN_PROGRESS_CHECKS) {
+                    return self.waitForRetry(attempt).then(function() {
+                        return self.postSubmission(fieldValues, fileName, fileContent, captchaToken, attempt + 1);
+                    });
+                }
+                return result;
+            });
+        },
+
+        /**
+         * Markup of the honeypot input: off screen, skipped by keyboard and autofill,
+         * so only bots fill it in
+         */
+        getHoneypotHtml: function() {
+            return '<div class="wtc-hp" aria-hidden="true" style="position:absolute;left:-10000px;top:auto;width:1px;height:1px;overflow:hidden;">' +
+                '<label>Website<input type="text" name="' + this.escapeHtml(this.formConfig.honeypotField) +
+                '" tabindex="-1" autocomplete="off" /></label>' +
+                '</div>';
+        },
+
+        /**
+         * Value of the honeypot input, or '' if the form has none
+         */
+        getHoneypotValue: function() {
+            var root = this.shadowRoot || this.formEl;
+            var name = this.formConfig.honeypotField;
+            var input = name && root ? root.querySelector('input[name="' + name + '"]') : null;
+            return input ? input.value : '';
+        },
+
+        /**
+         * Submit form to REST API
+         */
+        submitForm: function(fieldValues, fileName, fileContent, captchaToken, _isRetry) {
+            var self = this;
+
+            this.postSubmission(fieldValues, fileName, fileContent, captchaToken)
             .then(function(result) {
                 if (result.data.success) {
+                    self.idempotencyKey = null;
                     self.setLoading(false);
                     self.showSuccess(result.data.caseNumber);
+                    // A single small file is attached by the same request
+                    if (fileName && self.selectedFiles.length > 0) {
+                        var warning = result.data.warning;
+                        self.setFileStatus(self.selectedFiles[0], warning ? 'error' : 'complete',
+                            warning ? 'Not attached: ' + warning : 'Attached');
+                        self.showFileSummary(self.selectedFiles);
+                    }
                     if (self.options.onSuccess) {
                         self.options.onSuccess(result.data.caseNumber);
                     }
@@ -641,19 +1001,24 @@
                     if (!_isRetry && errorMsg.toLowerCase().indexOf('nonce') !== -1) {
                         self.fetchFormConfig()
                             .then(function(freshConfig) {
+                                // Keep the time the form was first shown for the fill time check
+                                freshConfig.renderToken = self.formConfig.renderToken;
                                 self.formConfig = freshConfig;
                                 self.submitForm(fieldValues, fileName, fileContent, captchaToken, true);
                             })
                             .catch(function() {
                                 self.setLoading(false);
                                 self.showFormError(errorMsg);
+                                self.resetFileStatuses();
                                 self.resetCaptcha();
                             });
                         return;
                     }
 
                     self.setLoading(false);
+                    self.showFieldErrors(result.data.fieldErrors);
                     self.showFormError(errorMsg);
+                    self.resetFileStatuses();
                     self.resetCaptcha();
                     self.refreshNonce(); // Get new nonce for manual retry
                     if (self.options.onError) {
@@ -664,6 +1029,7 @@
             .catch(function(err) {
                 self.setLoading(false);
                 self.showFormError('Network error. Please try again.');
+                self.resetFileStatuses();
                 self.resetCaptcha();
                 self.refreshNonce(); // Get new nonce for retry
                 if (self.options.onError) {
@@ -673,47 +1039,36 @@
         },
 
         /**
-         * Submit form then upload file in chunks
+         * Submit form without files, then upload the files in chunks
          */
-        submitFormThenUploadChunks: function(fieldValues, file, fileName, captchaToken) {
+        submitFormThenUploadFiles: function(fieldValues, files, captchaToken) {
             var self = this;
             var config = this.formConfig;
-            var url = this.options.apiBase + '/webtocase/v1/submit';
 
-            // Submit form without file first
-            fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                credentials: 'omit',
-                body: JSON.stringify({
-                    formId: config.formId,
-                    nonce: config.nonce,
-                    fieldValues: fieldValues,
-                    fileName: '',
-                    fileContent: '',
-                    captchaToken: captchaToken
-                })
-            })
+            // Submit form without files first
+            this.postSubmission(fieldValues, '', '', captchaToken)
             .then(function(response) {
-                return response.json();
-            })
-            .then(function(result) {
+                var result = response.data;
+                if (result.success) {
+                    self.idempotencyKey = null;
+                }
                 if (result.success && result.caseId) {
-                    self.uploadFileInChunks(result.caseId, file, fileName, result.caseNumber, config.formId);
+                    self.uploadFiles(result.caseId, result.caseNumber, files, config.formId);
                 } else if (result.success) {
-                    // Case created but no caseId for file upload
+                    // No caseId for file upload: a repeat of an earlier submission, or uploads unavailable
                     self.setLoading(false);
                     self.showSuccess(result.caseNumber);
-                    self.showFormError('Note: File could not be attached.');
+                    self.showFormError(result.duplicate
+                        ? 'This request was already received, so the files were not attached.'
+                        : 'Note: Files could not be attached.');
                     if (self.options.onSuccess) {
                         self.options.onSuccess(result.caseNumber);
                     }
                 } else {
                     self.setLoading(false);
+                    self.showFieldErrors(result.fieldErrors);
                     self.showFormError(result.error || 'Submission failed.');
+                    self.resetFileStatuses();
                     self.resetCaptcha();
                     self.refreshNonce(); // Get new nonce for retry
                 }
@@ -721,187 +1076,1016 @@
             .catch(function() {
                 self.setLoading(false);
                 self.showFormError('Network error. Please try again.');
+                self.resetFileStatuses();
                 self.resetCaptcha();
                 self.refreshNonce(); // Get new nonce for retry
             });
         },
 
         /**
-         * Upload file in chunks
+         * Upload every file to the Case, UPLOAD_CONCURRENCY at a time, then ask the
+         * server for the final state of all the Case's files
          */
-        uploadFileInChunks: function(caseId, file, fileName, caseNumber, formId) {
+        uploadFiles: function(caseId, caseNumber, files, formId) {
             var self = this;
-            var uploadKey = this.generateUUID();
-            var totalChunks = Math.ceil(file.size / CHUNK_SIZE);
+            var queue = files.slice();
+            var finished = 0;
+            for (var f = 0; f < files.length; f++) {
+                files[f].uploadKey = files[f].uploadKey || this.generateUUID();
+                this.setFileStatus(files[f], 'queued', 'Waiting...');
+            }
+            this.savePendingUploads(caseId, caseNumber, files);
+            this.updateButtonText('Uploading files... 0/' + files.length);
+
+            function uploadNext() {
+                var item = queue.shift();
+                if (!item) {
+                    return Promise.resolve();
+                }
+                return self.uploadFileInChunks(caseId, item, formId)
+                    .then(function(status) {
+                        self.setFileStatus(item, status, status === 'complete' ? 'Attached' : 'Processing...');
+                    }, function(err) {
+                        item.interrupted = !!err.interrupted;
+                        self.setFileStatus(item, 'error', 'Not attached: ' + err.message);
+                    })
+                    .then(function() {
+                        finished++;
+                        self.savePendingUploads(caseId, caseNumber, files);
+                        self.updateButtonText('Uploading files... ' + finished + '/' + files.length);
+                        return uploadNext();
+                    });
+            }
 
-            var reader = new FileReader();
-            reader.onload = function(e) {
-                var arrayBuffer = e.target.result;
-                self.uploadChunkSequentially(caseId, fileName, arrayBuffer, 0, totalChunks, uploadKey, caseNumber, formId);
-            };
-            reader.onerror = function() {
-                self.setLoading(false);
-                self.showSuccess(caseNumber);
-                self.showFormError('File could not be uploaded.');
-            };
-            reader.readAsArrayBuffer(file);
+            var workers = [];
+            for (var i = 0; i < Math.min(UPLOAD_CONCURRENCY, files.length); i++) {
+                workers.push(uploadNext());
+            }
+
+            Promise.all(workers)
+                .then(function() {
+                    return self.postToApi('/webtocase/v1/upload-files', { caseId: caseId, formId: formId })
+                        .catch(function() {
+                            return null; // Fall back to the status each upload reported
+                        });
+                })
+                .then(function(result) {
+                    if (result && result.success) {
+                        self.applyServerFileStatus(files, result.files || []);
+                    }
+                    self.pendingUploads = null;
+                    self.setLoading(false);
+                    self.showSuccess(caseNumber);
+                    self.showFileSummary(files);
+                    if (self.options.onSuccess) {
+                        self.options.onSuccess(caseNumber);
+                    }
+                });
         },
 
         /**
-         * Upload chunks sequentially
+         * Update each file's status from the server's list of files on the Case
          */
-        uploadChunkSequentially: function(caseId, fileName, arrayBuffer, chunkIndex, totalChunks, uploadKey, caseNumber, formId) {
-            var self = this;
-            var url = this.options.apiBase + '/webtocase/v1/upload-chunk';
-
-            var start = chunkIndex * CHUNK_SIZE;
-            var end = Math.min(start + CHUNK_SIZE, arrayBuffer.byteLength);
-            var chunkArrayBuffer = arrayBuffer.slice(start, end);
-            var chunkBase64 = this.arrayBufferToBase64(chunkArrayBuffer);
-
-            // Update progress
-            this.updateButtonText('Uploading... ' + Math.round(((chunkIndex + 1) / totalChunks) * 100) + '%');
+        applyServerFileStatus: function(files, serverFiles) {
+            var statusByName = {};
+            for (var s = 0; s < serverFiles.length; s++) {
+                statusByName[serverFiles[s].fileName.toLowerCase()] = serverFiles[s].status;
+            }
+            for (var i = 0; i < files.length; i++) {
+                var status = statusByName[files[i].fileName.toLowerCase()];
+                if (files[i].interrupted) {
+                    // Its chunks are on the Case, but only resuming the upload will finish it
+                    continue;
+                }
+                if (status === 'complete') {
+                    this.setFileStatus(files[i], 'complete', 'Attached');
+                } else if (status === 'processing') {
+                    this.setFileStatus(files[i], 'processing', 'Still processing - it will appear on your case shortly');
+                } else if (files[i].status !== 'error') {
+                    this.setFileStatus(files[i], 'error', 'Not attached');
+                }
+            }
+        },
 
-            fetch(url, {
+        /**
+         * POST a JSON body to the REST API and return a Promise for the parsed response
+         */
+        postToApi: function(path, body) {
+            return fetch(this.options.apiBase + path, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                     'Accept': 'application/json'
                 },
                 credentials: 'omit',
-                body: JSON.stringify({
-                    caseId: caseId,
-                    fileName: fileName,
-                    chunkData: chunkBase64,
-                    chunkIndex: chunkIndex,
-                    totalChunks: totalChunks,
-                    uploadKey: uploadKey,
-                    formId: formId
-                })
+                body: JSON.stringify(body)
             })
             .then(function(response) {
                 return response.json();
+            });
+        },
+
+        /**
+         * Upload one file in chunks
+         * @returns {Promise<string>} 'complete', or 'processing' if assembly outlasted polling
+         */
+        uploadFileInChunks: function(caseId, item, formId) {
+            var self = this;
+            var uploadKey = item.uploadKey;
+            var totalChunks = Math.max(1, Math.ceil(item.upload.size / CHUNK_SIZE));
+
+            return this.readFileAsArrayBuffer(item.upload).then(function(arrayBuffer) {
+                if (item.resuming) {
+                    // Chosen again after a reload: carry on from the chunks the server already has
+                    return self.resumeUpload(caseId, item, arrayBuffer, totalChunks, uploadKey, formId, 0);
+                }
+                return self.uploadChunkSequentially(caseId, item, arrayBuffer, 0, totalChunks, uploadKey, formId, 0);
+            });
+        },
+
+        /**
+         * Upload one file's chunks sequentially
+         * @param {number} attempt - Retries made so far for this chunk (see retryUpload)
+         */
+        uploadChunkSequentially: function(caseId, item, arrayBuffer, chunkIndex, totalChunks, uploadKey, formId, attempt) {
+            var self = this;
+
+            var start = chunkIndex * CHUNK_SIZE;
+            var end = Math.min(start + CHUNK_SIZE, arrayBuffer.byteLength);
+            var chunkBase64 = this.arrayBufferToBase64(arrayBuffer.slice(start, end));
+
+            // Update progress
+            this.setFileStatus(item, 'uploading', 'Uploading... ' + Math.round((chunkIndex / totalChunks) * 100) + '%');
+
+            return this.postToApi('/webtocase/v1/upload-chunk', {
+                caseId: caseId,
+                fileName: item.fileName,
+                chunkData: chunkBase64,
+                chunkIndex: chunkIndex,
+                totalChunks: totalChunks,
+                uploadKey: uploadKey,
+                formId: formId
             })
             .then(function(result) {
-                if (result.success) {
-                    if (result.complete) {
-                        self.setLoading(false);
-                        self.showSuccess(caseNumber);
-                        if (self.options.onSuccess) {
-                            self.options.onSuccess(caseNumber);
-                        }
-                    } else if (result.processing) {
-                        // Async assembly in progress - start polling
-                        self.pollUploadStatus(caseId, result.uploadKey, fileName, caseNumber, formId, 0);
-                    } else {
-                        // Upload next chunk
-                        self.uploadChunkSequentially(caseId, fileName, arrayBuffer, chunkIndex + 1, totalChunks, uploadKey, caseNumber, formId);
-                    }
-                } else {
-                    self.setLoading(false);
-                    self.showSuccess(caseNumber);
-                    self.showFormError('File upload failed: ' + (result.error || 'Unknown error'));
+                if (!result.success) {
+                    throw new Error(result.error || 'Unknown error');
+                }
+                if (result.complete) {
+                    return 'complete';
                 }
+                if (result.processing) {
+                    // Async assembly in progress - start polling
+                    self.setFileStatus(item, 'processing', 'Processing...');
+                    return self.pollUploadStatus(caseId, result.uploadKey, item.fileName, formId, 0);
+                }
+                // Upload next chunk
+                return self.uploadChunkSequentially(caseId, item, arrayBuffer, chunkIndex + 1, totalChunks, uploadKey, formId, 0);
+            }, function() {
+                // The request itself failed (dropped connection or unreadable response). The chunk may
+                // still have arrived, so ask the server where the upload got to before carrying on.
+                return self.retryUpload(caseId, item, arrayBuffer, totalChunks, uploadKey, formId, attempt);
+            });
+        },
+
+        /**
+         * Wait with exponential backoff, then resume the upload; gives up after MAX_CHUNK_RETRIES
+         * with an error that leaves the upload resumable after a reload
+         */
+        retryUpload: function(caseId, item, arrayBuffer, totalChunks, uploadKey, formId, attempt) {
+            var self = this;
+            if (attempt >= MAX_CHUNK_RETRIES) {
+                var error = new Error('Upload interrupted. Reload the page and choose the file again to finish attaching it.');
+                error.interrupted = true;
+                return Promise.reject(error);
+            }
+            this.setFileStatus(item, 'uploading', 'Connection lost - retrying...');
+            return this.waitForRetry(attempt).then(function() {
+                return self.resumeUpload(caseId, item, arrayBuffer, totalChunks, uploadKey, formId, attempt + 1);
+            });
+        },
+
+        /**
+         * Ask the server which chunks of the upload it has and continue from the first missing one
+         * @returns {Promise<string>} 'complete', or 'processing' if assembly outlasted polling
+         */
+        resumeUpload: function(caseId, item, arrayBuffer, totalChunks, uploadKey, formId, attempt) {
+            var self = this;
+            return this.postToApi('/webtocase/v1/upload-session', {
+                caseId: caseId,
+                uploadKey: uploadKey,
+                fileName: item.fileName,
+                formId: formId
             })
-            .catch(function() {
-                self.setLoading(false);
-                self.showSuccess(caseNumber);
-                self.showFormError('File upload failed.');
+            .then(function(session) {
+                if (!session.success) {
+                    throw new Error(session.error || 'Could not resume the upload.');
+                }
+                if (session.status === 'complete') {
+                    return 'complete';
+                }
+                if (session.status === 'processing') {
+                    self.setFileStatus(item, 'processing', 'Processing...');
+                    return self.pollUploadStatus(caseId, uploadKey, item.fileName, formId, 0);
+                }
+                if (session.totalChunks && session.totalChunks !== totalChunks) {
+                    throw new Error('This file does not match the interrupted upload.');
+                }
+                var chunkIndex = self.firstMissingChunk(session.receivedChunks || [], totalChunks);
+                return self.uploadChunkSequentially(caseId, item, arrayBuffer, chunkIndex, totalChunks, uploadKey, formId, attempt);
+            }, function() {
+                return self.retryUpload(caseId, item, arrayBuffer, totalChunks, uploadKey, formId, attempt);
             });
         },
 
         /**
-         * Poll for async file assembly completion via REST API
-         * Uses exponential backoff: 2s, 3s, 5s, 5s, 5s... up to 60s total
+         * Lowest chunk index the server doesn't have, or the last chunk if it has them all
+         * (sending it again triggers assembly)
+         */
+        firstMissingChunk: function(receivedChunks, totalChunks) {
+            for (var i = 0; i < totalChunks; i++) {
+                if (receivedChunks.indexOf(i) === -1) {
+                    return i;
+                }
+            }
+            return totalChunks - 1;
+        },
+
+        /**
+         * Resolve after 1s, 2s, 4s... for attempt 0, 1, 2..., and not before the browser is back online
+         */
+        waitForRetry: function(attempt) {
+            var delay = RETRY_BASE_DELAY * Math.pow(2, attempt);
+            return new Promise(function(resolve) {
+                setTimeout(function() {
+                    if (global.navigator.onLine !== false) {
+                        resolve();
+                        return;
+                    }
+                    global.addEventListener('online', function onOnline() {
+                        global.removeEventListener('online', onOnline);
+                        resolve();
+                    });
+                }, delay);
+            });
+        },
+
+        /**
+         * sessionStorage key for the form's unfinished uploads
+         */
+        pendingUploadsKey: function() {
+            return 'wtc-pending-uploads:' + this.formConfig.formId;
+        },
+
+        /**
+         * Remember the uploads that haven't finished (queued, in progress, or interrupted after
+         * repeated connection failures) so they can resume after a reload
+         */
+        savePendingUploads: function(caseId, caseNumber, files) {
+            var unfinished = [];
+            for (var i = 0; i < files.length; i++) {
+                var item = files[i];
+                if (item.status === 'queued' || item.status === 'uploading' || item.interrupted) {
+                    unfinished.push({
+                        fileName: item.fileName,
+                        uploadKey: item.uploadKey,
+                        size: item.upload.size,
+                        sourceName: item.file.name,
+                        sourceSize: item.file.size,
+                        sourceModified: item.file.lastModified
+                    });
+                }
+            }
+            try {
+                if (unfinished.length === 0) {
+                    global.sessionStorage.removeItem(this.pendingUploadsKey());
+                    return;
+                }
+                // Keep the original time: the server's upload authorization doesn't get longer
+                var saved = JSON.parse(global.sessionStorage.getItem(this.pendingUploadsKey()));
+                global.sessionStorage.setItem(this.pendingUploadsKey(), JSON.stringify({
+                    caseId: caseId,
+                    caseNumber: caseNumber,
+                    savedAt: saved && saved.caseId === caseId ? saved.savedAt : Date.now(),
+                    files: unfinished
+                }));
+            } catch (e) {
+                // Storage can be unavailable (private browsing, blocked in iframes); uploads then can't resume after a reload
+            }
+        },
+
+        /**
+         * Unfinished uploads saved by savePendingUploads, or null if there are none that can still resume
+         */
+        loadPendingUploads: function() {
+            try {
+                var saved = JSON.parse(global.sessionStorage.getItem(this.pendingUploadsKey()));
+                if (saved && saved.files && saved.files.length > 0 && Date.now() - saved.savedAt < PENDING_UPLOADS_TTL) {
+                    return saved;
+                }
+                global.sessionStorage.removeItem(this.pendingUploadsKey());
+            } catch (e) {
+                // Unavailable or unreadable storage: nothing to resume
+            }
+            return null;
+        },
+
+        clearPendingUploads: function() {
+            this.pendingUploads = null;
+            try {
+                global.sessionStorage.removeItem(this.pendingUploadsKey());
+            } catch (e) {
+                // Nothing was saved
+            }
+        },
+
+        /**
+         * Load uploads a reload interrupted and tell the visitor how to finish them
+         */
+        showPendingUploadsNotice: function() {
+            var pending = this.loadPendingUploads();
+            this.pendingUploads = pending;
+            if (!pending) {
+                return;
+            }
+            var names = [];
+            for (var i = 0; i < pending.files.length; i++) {
+                names.push(pending.files[i].fileName);
+            }
+            var one = pending.files.length === 1;
+            this.showFormError('Case ' + pending.caseNumber + ' was submitted, but ' +
+                (one ? 'an attachment' : pending.files.length + ' attachments') + ' did not finish uploading (' + names.join(', ') + '). ' +
+                'Choose the same ' + (one ? 'file' : 'files') + ' and press Submit to finish attaching ' + (one ? 'it' : 'them') +
+                ', or fill in the form to send a new request.');
+        },
+
+        /**
+         * The interrupted upload a chosen file belongs to (same name, size and last-modified date), or null
+         */
+        findPendingUpload: function(file) {
+            var files = this.pendingUploads ? this.pendingUploads.files : [];
+            for (var i = 0; i < files.length; i++) {
+                if (files[i].sourceName === file.name && files[i].sourceSize === file.size &&
+                    files[i].sourceModified === file.lastModified) {
+                    return files[i];
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Finish the interrupted uploads with the files chosen again after a reload. Other chosen
+         * files are attached to the same Case as new uploads.
+         * @returns {boolean} false if none of the files were being uploaded (submit a new request instead)
+         */
+        resumePendingUploads: function(files) {
+            var self = this;
+            var pending = this.pendingUploads;
+            var matched = false;
+            for (var i = 0; i < files.length && !matched; i++) {
+                matched = this.findPendingUpload(files[i].file) !== null;
+            }
+            if (!matched) {
+                return false;
+            }
+            var fileError = this.getInvalidFileError(files);
+            if (fileError) {
+                this.showFormError(fileError);
+                return true;
+            }
+
+            this.hideError();
+            this.setLoading(true);
+            this.prepareFiles(files)
+                .then(function() {
+                    for (var f = 0; f < files.length; f++) {
+                        var entry = self.findPendingUpload(files[f].file);
+                        // A file that compressed to a different size can't reuse the stored chunks
+                        if (entry && entry.size === files[f].upload.size) {
+                            files[f].fileName = entry.fileName;
+                            files[f].uploadKey = entry.uploadKey;
+                            files[f].resuming = true;
+                        }
+                    }
+                    self.uploadFiles(pending.caseId, pending.caseNumber, files, self.formConfig.formId);
+                })
+                .catch(function() {
+                    self.setLoading(false);
+                    self.showFormError('Error processing file.');
+                });
+            return true;
+        },
+
+        /**
+         * Poll for async file assembly completion via REST API
+         * Uses exponential backoff: 2s, 3s, 5s, 5s, 5s... up to 60s total
+         * @returns {Promise<string>} 'complete', or 'processing' on timeout
+         */
+        pollUploadStatus: function(caseId, uploadKey, fileName, formId, attempt) {
+            var self = this;
+            var POLL_INTERVALS = [2000, 3000, 5000, 5000, 5000, 5000, 5000, 5000, 5000, 5000, 5000, 5000];
+            var MAX_POLL_TIME = 60000;
+            var elapsed = 0;
+            for (var i = 0; i < attempt; i++) {
+                elapsed += (POLL_INTERVALS[i] || 5000);
+            }
+
+            if (elapsed >= MAX_POLL_TIME) {
+                return Promise.resolve('processing');
+            }
+
+            var delay = POLL_INTERVALS[attempt] || 5000;
+
+            return new Promise(function(resolve) {
+                setTimeout(resolve, delay);
+            })
+            .then(function() {
+                return self.postToApi('/webtocase/v1/upload-status', {
+                    caseId: caseId,
+                    uploadKey: uploadKey,
+                    fileName: fileName,
+                    formId: formId
+                })
+                .catch(function() {
+                    // Network error - retry
+                    return { status: 'processing' };
+                });
+            })
+            .then(function(result) {
+                if (result.status === 'complete') {
+                    return 'complete';
+                }
+                if (result.status === 'processing') {
+                    return self.pollUploadStatus(caseId, uploadKey, fileName, formId, attempt + 1);
+                }
+                throw new Error(result.error || 'Processing failed.');
+            });
+        },
+
+        /**
+         * Validate form fields
+         */
+        validateForm: function(page) {
+            var errors = [];
+            var fields = this.formConfig.fields || [];
+            var ruleState = this.getRuleState();
+
+            for (var i = 0; i < fields.length; i++) {
+                var field = fields[i];
+                var state = ruleState[field.caseField.toLowerCase()];
+                var inputs = this.getFieldInputs(this.shadowRoot, field);
+                if (inputs.length === 0 || !state.visible) continue;
+                if (page !== undefined && this.getFieldPage(field) !== page) continue;
+
+                var error = this.validateFieldValue(field, this.readFieldValue(inputs, field), state.required);
+                this.markFieldInvalid(inputs, !!error);
+                if (error) {
+                    errors.push(error);
+                }
+            }
+
+            return errors;
+        },
+
+        /**
+         * Highlight (or clear) a field's inputs
+         */
+        markFieldInvalid: function(inputs, invalid) {
+            var target = inputs[0].closest('.wtc-options') || inputs[0];
+            target.classList.toggle('wtc-input-error', invalid);
+        },
+
+        /**
+         * Validate a single field value against its config (required, type and validation rules)
+         * @param {boolean} [required] - Effective required state from evaluateFieldRules (defaults to field.required)
+         * @returns {string|null} Error message, or null if valid
+         */
+        validateFieldValue: function(field, value, required) {
+            // An unchecked single checkbox submits 'false' but counts as empty for "required"
+            var isEmpty = !value || (field.type === 'Checkbox' && value === 'false');
+            var isRequired = required === undefined ? field.required : required;
+
+            if (isEmpty) {
+                return isRequired ? field.label + ' is required.' : null;
+            }
+            if (field.type === 'Email' && !this.isValidEmail(value)) {
+                return 'Please enter a valid email address.';
+            }
+            if (field.type === 'Number' && !isFinite(Number(value))) {
+                return field.label + ' must be a number.';
+            }
+            if (field.type === 'URL' && !this.isValidUrl(value)) {
+                return field.label + ' must be a valid URL starting with http:// or https://.';
+            }
+            if (field.type === 'Date' && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                return field.label + ' must be a valid date.';
+            }
+            return this.getValidationRuleError(field, value);
+        },
+
+        /**
+         * Check a type-valid value against field.validation (minLength, maxLength, min, max,
+         * pattern, message). Mirrors FormFieldValidator.validateRules; the pattern must match
+         * the whole value.
+         * @returns {string|null} Error message, or null if valid
+         */
+        getValidationRuleError: function(field, value) {
+            var rules = field.validation;
+            if (!rules) return null;
+            var text = String(value).trim();
+
+            if (rules.minLength != null && text.length < rules.minLength) {
+                return field.label + ' must be at least ' + rules.minLength + ' characters.';
+            }
+            if (rules.maxLength != null && text.length > rules.maxLength) {
+                return field.label + ' must be ' + rules.maxLength + ' characters or fewer.';
+            }
+            if (field.type === 'Number') {
+                if (rules.min != null && Number(text) < rules.min) {
+                    return field.label + ' must be at least ' + rules.min + '.';
+                }
+                if (rules.max != null && Number(text) > rules.max) {
+                    return field.label + ' must be no more than ' + rules.max + '.';
+                }
+            }
+            if (rules.pattern) {
+                var re = null;
+                try {
+                    re = new RegExp('^(?:' + rules.pattern + ')$');
+                } catch (err) {
+                    // Not valid in JavaScript; the server still checks it
+                    console.warn('WebToCaseForm: Skipping validation pattern for', field.label, '-', err.message);
+                }
+                if (re && !re.test(text)) {
+                    return rules.message || field.label + ' is not in the expected format.';
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Mark the inputs named in a server fieldErrors map (Case field -> message)
+         * and, on a multi-step form, show the step of the first one
+         */
+        showFieldErrors: function(fieldErrors) {
+            if (!fieldErrors) return;
+            var fields = this.formConfig.fields || [];
+            var root = this.shadowRoot || this.formEl;
+            var firstPage = null;
+
+            for (var i = 0; i < fields.length; i++) {
+                if (!fieldErrors.hasOwnProperty(fields[i].caseField)) continue;
+                var inputs = this.getFieldInputs(root, fields[i]);
+                if (inputs.length === 0) continue;
+                this.markFieldInvalid(inputs, true);
+                if (firstPage === null) {
+                    firstPage = this.getFieldPage(fields[i]);
+                }
+            }
+            if (firstPage !== null && this.isMultiStep()) {
+                this.showStep(firstPage);
+            }
+        },
+
+        /**
+         * Validate the whole form. On a multi-step form each active page is validated in
+         * order and the first page with a problem is shown.
+         * @returns {Array} Error messages
+         */
+        validateSteps: function() {
+            if (!this.isMultiStep()) {
+                return this.validateForm();
+            }
+            var pages = this.getActivePages(this.formConfig.fields, this.getRuleState());
+            for (var i = 0; i < pages.length; i++) {
+                var errors = this.validateForm(pages[i]);
+                if (errors.length > 0) {
+                    this.showStep(pages[i]);
+                    return errors;
+                }
+            }
+            return [];
+        },
+
+        /**
+         * Validate the current page and move to the next active page
+         */
+        goToNextStep: function() {
+            var errors = this.validateForm(this.currentPage);
+            if (errors.length > 0) {
+                this.showFormError(errors.join('<br>'));
+                return;
+            }
+            this.hideError();
+
+            var pages = this.getActivePages(this.formConfig.fields, this.getRuleState());
+            for (var i = 0; i < pages.length; i++) {
+                if (pages[i] > this.currentPage) {
+                    this.showStep(pages[i]);
+                    (this.formEl || this.container).scrollIntoView({ behavior: 'smooth', block: 'start' });
+                    return;
+                }
+            }
+        },
+
+        /**
+         * Move to the previous active page (no validation)
+         */
+        goToPreviousStep: function() {
+            this.hideError();
+
+            var pages = this.getActivePages(this.formConfig.fields, this.getRuleState());
+            for (var i = pages.length - 1; i >= 0; i--) {
+                if (pages[i] < this.currentPage) {
+                    this.showStep(pages[i]);
+                    (this.formEl || this.container).scrollIntoView({ behavior: 'smooth', block: 'start' });
+                    return;
+                }
+            }
+        },
+
+        /**
+         * Whether the current page is the last active page
+         */
+        isLastStep: function() {
+            var pages = this.getActivePages(this.formConfig.fields, this.getRuleState());
+            return this.currentPage >= pages[pages.length - 1];
+        },
+
+        /**
+         * Page number of a config field (fields without a page are on page 1)
+         */
+        getFieldPage: function(field) {
+            return parseInt(field.page, 10) || 1;
+        },
+
+        /**
+         * Number of distinct pages the fields are split across
+         */
+        getPageCount: function(fields) {
+            var pages = {};
+            var count = 0;
+            for (var i = 0; i < (fields || []).length; i++) {
+                var page = this.getFieldPage(fields[i]);
+                if (!pages[page]) {
+                    pages[page] = true;
+                    count++;
+                }
+            }
+            return count;
+        },
+
+        /**
+         * Pages that currently have at least one visible field, in ascending order
+         * (a step whose fields are all hidden by conditional rules is skipped)
+         */
+        getActivePages: function(fields, ruleState) {
+            var pages = [];
+            for (var i = 0; i < (fields || []).length; i++) {
+                var page = this.getFieldPage(fields[i]);
+                var state = ruleState[fields[i].caseField.toLowerCase()];
+                if (state && state.visible && pages.indexOf(page) === -1) {
+                    pages.push(page);
+                }
+            }
+            pages.sort(function(a, b) { return a - b; });
+            return pages.length > 0 ? pages : [1];
+        },
+
+        /**
+         * Where a page sits among the active pages
+         * @returns {Object} { step, total, isFirst, isLast } (step is 1-based)
+         */
+        getStepPosition: function(pages, page) {
+            var index = 0;
+            while (index < pages.length - 1 && pages[index] < page) {
+                index++;
+            }
+            return {
+                step: index + 1,
+                total: pages.length,
+                isFirst: page <= pages[0],
+                isLast: page >= pages[pages.length - 1]
+            };
+        },
+
+        /**
+         * Read every configured field's current value under the given root (hidden or not)
+         * @returns {Object} Map of Case field names to values
+         */
+        readAllFieldValues: function(root) {
+            var values = {};
+            var fields = this.formConfig.fields || [];
+
+            for (var i = 0; i < fields.length; i++) {
+                var inputs = this.getFieldInputs(root, fields[i]);
+                values[fields[i].caseField] = inputs.length > 0 ? this.readFieldValue(inputs, fields[i]) : '';
+            }
+
+            return values;
+        },
+
+        /**
+         * Evaluate conditional visibility/required rules (mirrors FormFieldRules.cls)
+         * A hidden controlling field counts as blank; rules pointing at a missing field
+         * or forming a cycle are ignored.
+         * @param {Array} fields - Config fields
+         * @param {Object} values - Map of Case field names to current values
+         * @returns {Object} Map of lower-case Case field name to { visible, required }
+         */
+        evaluateFieldRules: function(fields, values) {
+            var self = this;
+            var byName = {};
+            var valuesByName = {};
+            var visibility = {};
+            var state = {};
+            var i;
+
+            for (i = 0; i < fields.length; i++) {
+                byName[fields[i].caseField.toLowerCase()] = fields[i];
+            }
+            for (var key in values) {
+                if (values.hasOwnProperty(key)) {
+                    valuesByName[key.toLowerCase()] = values[key] || '';
+                }
+            }
+
+            function conditionMet(field, visiting) {
+                var controllerName = field.condition.dependsOn.toLowerCase();
+                var controller = byName[controllerName];
+                if (!controller || visiting[controllerName]) {
+                    return true;
+                }
+                var controllerValue = resolveVisible(controllerName, visiting) ? (valuesByName[controllerName] || '') : '';
+                if (controller.type === 'Checkbox' && !controllerValue.trim()) {
+                    controllerValue = 'false';
+                }
+                return self.conditionMatches(field.condition.operator, controllerValue, field.condition.value, controller.type);
+            }
+
+            function resolveVisible(name, visiting) {
+                if (visibility.hasOwnProperty(name)) {
+                    return visibility[name];
+                }
+                var field = byName[name];
+                var visible = true;
+                if (field && field.condition && field.condition.action !== 'Require') {
+                    visiting[name] = true;
+                    visible = conditionMet(field, visiting);
+                }
+                visibility[name] = visible;
+                return visible;
+            }
+
+            for (i = 0; i < fields.length; i++) {
+                var field = fields[i];
+                var name = field.caseField.toLowerCase();
+                var visible = resolveVisible(name, {});
+                var required = visible && !!field.required;
+                if (visible && !required && field.condition && field.condition.action === 'Require') {
+                    var visiting = {};
+                    visiting[name] = true;
+                    required = conditionMet(field, visiting);
+                }
+                state[name] = { visible: visible, required: required };
+            }
+
+            return state;
+        },
+
+        /**
+         * Compare a controlling value with a condition (trimmed, case-insensitive).
+         * For Multi-Select controllers, equals matches any one of the selected options.
+         */
+        conditionMatches: function(operator, actual, expected, controllerType) {
+            var actualValue = (actual || '').trim().toLowerCase();
+            var expectedValue = (expected || '').trim().toLowerCase();
+
+            switch (operator) {
+                case 'IsBlank':
+                    return !actualValue;
+                case 'IsNotBlank':
+                    return !!actualValue;
+                case 'Contains':
+                    return actualValue.indexOf(expectedValue) !== -1;
+                case 'Equals':
+                case 'NotEquals':
+                    var candidates = controllerType === 'MultiSelect' ? actualValue.split(';') : [actualValue];
+                    var equal = false;
+                    for (var i = 0; i < candidates.length; i++) {
+                        if (candidates[i].trim() === expectedValue) {
+                            equal = true;
+                            break;
+                        }
+                    }
+                    return operator === 'Equals' ? equal : !equal;
+                default:
+                    return true;
+            }
+        },
+
+        /**
+         * Find the input(s) bound to a field under the given root
+         */
+        getFieldInputs: function(root, field) {
+            return root.querySelectorAll('[name="' + field.caseField + '"]');
+        },
+
+        /**
+         * Read a field's value from its input(s)
+         * Radio returns the checked value, MultiSelect joins selections with ';'
+         * (Salesforce multi-select format), a single Checkbox returns 'true' or 'false'.
+         */
+        readFieldValue: function(inputs, field) {
+            var first = inputs[0];
+            var i;
+
+            if (field.type === 'Checkbox') {
+                return first.checked ? 'true' : 'false';
+            }
+
+            // <select multiple> (connect mode)
+            if (first.tagName === 'SELECT' && first.multiple) {
+                var selected = [];
+                for (i = 0; i < first.options.length; i++) {
+                    if (first.options[i].selected && first.options[i].value) {
+                        selected.push(first.options[i].value);
+                    }
+                }
+                return selected.join(';');
+            }
+
+            if (first.type === 'radio' || first.type === 'checkbox') {
+                var checked = [];
+                for (i = 0; i < inputs.length; i++) {
+                    if (inputs[i].checked) {
+                        checked.push(inputs[i].value);
+                    }
+                }
+                return checked.join(';');
+            }
+
+            return first.value.trim();
+        },
+
+        /**
+         * Number of files the form accepts per submission
+         */
+        getMaxFileCount: function() {
+            return this.formConfig.maxFileCount > 1 ? this.formConfig.maxFileCount : 1;
+        },
+
+        /**
+         * Add newly chosen files to the selection, checking each file and the form's file count
+         * (a new choice replaces the selection when only one file is allowed)
+         */
+        addFiles: function(fileList) {
+            var maxCount = this.getMaxFileCount();
+            var files = Array.prototype.slice.call(fileList || []);
+            if (maxCount === 1 && files.length > 0) {
+                this.selectedFiles = [];
+            }
+
+            for (var i = 0; i < files.length; i++) {
+                if (this.selectedFiles.length >= maxCount) {
+                    this.showFormError('You can attach up to ' + maxCount + (maxCount === 1 ? ' file.' : ' files.'));
+                    break;
+                }
+                // Invalid files stay listed with their error until removed
+                var validation = this.validateFile(files[i]);
+                this.selectedFiles.push({
+                    file: files[i],
+                    invalid: !validation.valid,
+                    status: '',
+                    message: validation.valid ? '' : validation.error
+                });
+            }
+
+            this.renderFileList();
+        },
+
+        /**
+         * Error for the first selected file that failed validation, or null
+         */
+        getInvalidFileError: function(files) {
+            for (var i = 0; i < files.length; i++) {
+                if (files[i].invalid) {
+                    return files[i].file.name + ': ' + files[i].message;
+                }
+            }
+            return null;
+        },
+
+        /**
+         * Remove a selected file (clicks on its remove button are delegated to the list)
          */
-        pollUploadStatus: function(caseId, uploadKey, fileName, caseNumber, formId, attempt) {
-            var self = this;
-            var POLL_INTERVALS = [2000, 3000, 5000, 5000, 5000, 5000, 5000, 5000, 5000, 5000, 5000, 5000];
-            var MAX_POLL_TIME = 60000;
-            var elapsed = 0;
-            for (var i = 0; i < attempt; i++) {
-                elapsed += (POLL_INTERVALS[i] || 5000);
+        handleFileListClick: function(e) {
+            var removeButton = e.target.closest('[data-wtc-remove-file]');
+            if (removeButton) {
+                this.selectedFiles.splice(parseInt(removeButton.getAttribute('data-wtc-remove-file'), 10), 1);
+                this.renderFileList();
+                this.hideError();
             }
+        },
 
-            if (elapsed >= MAX_POLL_TIME) {
-                self.setLoading(false);
-                self.showSuccess(caseNumber);
-                self.showFormError('Your case was created. The file is still being processed and will appear shortly.');
-                if (self.options.onSuccess) {
-                    self.options.onSuccess(caseNumber);
-                }
-                return;
+        /**
+         * Render the selected files with their size, or their upload status once submitted
+         */
+        renderFileList: function() {
+            var list = this.getFileListEl();
+            if (!list) return;
+            list.innerHTML = '';
+            for (var i = 0; i < this.selectedFiles.length; i++) {
+                list.appendChild(this.buildFileItem(this.selectedFiles[i], i));
             }
+        },
 
-            var delay = POLL_INTERVALS[attempt] || 5000;
-            self.updateButtonText('Processing file...');
-
-            setTimeout(function() {
-                var url = self.options.apiBase + '/webtocase/v1/upload-status';
-
-                fetch(url, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'Accept': 'application/json'
-                    },
-                    credentials: 'omit',
-                    body: JSON.stringify({
-                        caseId: caseId,
-                        uploadKey: uploadKey,
-                        fileName: fileName,
-                        formId: formId
-                    })
-                })
-                .then(function(response) {
-                    return response.json();
-                })
-                .then(function(result) {
-                    if (result.status === 'complete') {
-                        self.setLoading(false);
-                        self.showSuccess(caseNumber);
-                        if (self.options.onSuccess) {
-                            self.options.onSuccess(caseNumber);
-                        }
-                    } else if (result.status === 'processing') {
-                        self.pollUploadStatus(caseId, uploadKey, fileName, caseNumber, formId, attempt + 1);
-                    } else {
-                        self.setLoading(false);
-                        self.showSuccess(caseNumber);
-                        self.showFormError('Your case was created, but the file could not be attached: ' + (result.error || 'Processing failed.'));
-                    }
-                })
-                .catch(function() {
-                    // Network error - retry
-                    self.pollUploadStatus(caseId, uploadKey, fileName, caseNumber, formId, attempt + 1);
-                });
-            }, delay);
+        /**
+         * Build the list item for one file (a remove button is shown until the form is submitted).
+         * Status is exposed as data-wtc-file-status for styling connected forms.
+         */
+        buildFileItem: function(item, index) {
+            var li = document.createElement('li');
+            li.className = 'wtc-file-item' + (item.invalid ? ' wtc-file-error' : '') + (item.status ? ' wtc-file-' + item.status : '');
+            li.setAttribute('data-wtc-file-status', item.status || (item.invalid ? 'error' : 'selected'));
+
+            var name = document.createElement('span');
+            name.className = 'wtc-file-name';
+            name.textContent = item.fileName || item.file.name;
+            li.appendChild(name);
+
+            var detail = document.createElement('span');
+            detail.className = 'wtc-file-detail';
+            detail.textContent = item.message || this.formatFileSize(item.file.size);
+            li.appendChild(detail);
+
+            if (!item.status && index !== undefined) {
+                var removeButton = document.createElement('button');
+                removeButton.type = 'button';
+                removeButton.className = 'wtc-file-remove';
+                removeButton.setAttribute('data-wtc-remove-file', index);
+                removeButton.setAttribute('aria-label', 'Remove ' + item.file.name);
+                removeButton.textContent = '\u00d7';
+                li.appendChild(removeButton);
+            }
+            return li;
         },
 
         /**
-         * Validate form fields
+         * Set a file's upload status ('uploading', 'processing', 'complete', 'error', ...) and redraw the list
          */
-        validateForm: function() {
-            var errors = [];
-            var inputs = this.shadowRoot.querySelectorAll('[data-required="true"]');
+        setFileStatus: function(item, status, message) {
+            item.status = status;
+            item.message = message;
+            this.renderFileList();
+        },
 
-            for (var i = 0; i < inputs.length; i++) {
-                var input = inputs[i];
-                var value = input.value.trim();
-                var label = input.getAttribute('data-label') || 'This field';
-
-                if (!value) {
-                    errors.push(label + ' is required.');
-                    input.classList.add('wtc-input-error');
-                } else if (input.type === 'email' && !this.isValidEmail(value)) {
-                    errors.push('Please enter a valid email address.');
-                    input.classList.add('wtc-input-error');
-                } else {
-                    input.classList.remove('wtc-input-error');
-                }
+        /**
+         * Clear upload statuses after a failed submission so files can be removed or resubmitted
+         */
+        resetFileStatuses: function() {
+            for (var i = 0; i < this.selectedFiles.length; i++) {
+                this.selectedFiles[i].status = '';
+                this.selectedFiles[i].message = '';
             }
+            this.renderFileList();
+        },
 
-            return errors;
+        /**
+         * List each file's final status with the success message
+         */
+        showFileSummary: function(files) {
+            var summary = this.getFileSummaryEl();
+            if (!summary || files.length === 0) return;
+            summary.innerHTML = '';
+            for (var i = 0; i < files.length; i++) {
+                summary.appendChild(this.buildFileItem(files[i]));
+            }
+            summary.style.display = '';
+            summary.hidden = false;
+        },
+
+        /**
+         * Format a byte count for display (e.g. "1.2 MB")
+         */
+        formatFileSize: function(bytes) {
+            if (bytes < 1024 * 1024) {
+                return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+            }
+            return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+        },
+
+        /**
+         * File list element (shadow DOM)
+         */
+        getFileListEl: function() {
+            return this.shadowRoot.getElementById('wtcFileList');
+        },
+
+        /**
+         * File summary element shown with the success message (shadow DOM)
+         */
+        getFileSummaryEl: function() {
+            return this.shadowRoot.getElementById('wtcFileSummary');
         },
 
         /**
@@ -913,19 +2097,42 @@
                 return { valid: false, error: 'Video files are not supported.' };
             }
 
+            // Form's allowed file types (the server checks the extension and contents again)
+            if (!this.isAllowedFileType(file)) {
+                return {
+                    valid: false,
+                    error: 'This file type is not accepted. Allowed types: ' + this.formConfig.allowedFileTypes + '.'
+                };
+            }
+
             var isImage = this.isSupportedImage(file);
 
             if (isImage && file.size > MAX_IMAGE_SIZE) {
                 return { valid: false, error: 'Image too large. Max 25MB.' };
             }
 
-            if (!isImage && file.size > MAX_DOC_SIZE) {
-                return { valid: false, error: 'File too large. Documents max 4MB.' };
+            // Other files: the form's Max File Size (the server enforces it again per chunk)
+            var maxFileSizeMB = this.formConfig.maxFileSizeMB || 10;
+            if (!isImage && file.size > maxFileSizeMB * 1024 * 1024) {
+                return { valid: false, error: 'File too large. Max ' + maxFileSizeMB + 'MB.' };
             }
 
             return { valid: true };
         },
 
+        /**
+         * Check a file's extension against the form's allowed types (none listed means any type)
+         */
+        isAllowedFileType: function(file) {
+            var allowed = this.formConfig.allowedExtensions || [];
+            if (allowed.length === 0) {
+                return true;
+            }
+            var dot = file.name.lastIndexOf('.');
+            var extension = dot === -1 ? '' : file.name.substring(dot + 1).toLowerCase();
+            return allowed.indexOf(extension) !== -1;
+        },
+
         /**
          * Check if file is a supported image
          */
@@ -987,12 +2194,14 @@
          */
         collectFieldValues: function() {
             var values = {};
-            var inputs = this.shadowRoot.querySelectorAll('input[name], textarea[name]');
+            var fields = this.formConfig.fields || [];
+            var ruleState = this.getRuleState();
 
-            for (var i = 0; i < inputs.length; i++) {
-                var input = inputs[i];
-                if (input.type !== 'file' && input.name) {
-                    values[input.name] = input.value.trim();
+            for (var i = 0; i < fields.length; i++) {
+                var inputs = this.getFieldInputs(this.shadowRoot, fields[i]);
+                // Hidden conditional fields are not submitted
+                if (inputs.length > 0 && ruleState[fields[i].caseField.toLowerCase()].visible) {
+                    values[fields[i].caseField] = this.readFieldValue(inputs, fields[i]);
                 }
             }
 
@@ -1016,6 +2225,22 @@
             });
         },
 
+        /**
+         * Read file as ArrayBuffer for chunking
+         */
+        readFileAsArrayBuffer: function(file) {
+            return new Promise(function(resolve, reject) {
+                var reader = new FileReader();
+                reader.onload = function(e) {
+                    resolve(e.target.result);
+                };
+                reader.onerror = function() {
+                    reject(new Error('File could not be read.'));
+                };
+                reader.readAsArrayBuffer(file);
+            });
+        },
+
         /**
          * Convert ArrayBuffer to Base64
          */
@@ -1046,6 +2271,13 @@
             return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
         },
 
+        /**
+         * http(s) URL validation
+         */
+        isValidUrl: function(url) {
+            return /^https?:\/\/[^\s/$.?#][^\s]*$/i.test(url);
+        },
+
         /**
          * Set loading state
          */
@@ -1127,7 +2359,11 @@
             var caseSpan = this.shadowRoot.getElementById('wtcCaseNumber');
 
             if (form) form.style.display = 'none';
-            if (caseSpan) caseSpan.textContent = caseNumber;
+            if (caseSpan) {
+                // Repeat submissions linked to an earlier Case get no case number
+                caseSpan.textContent = caseNumber || '';
+                caseSpan.parentNode.style.display = caseNumber ? '' : 'none';
+            }
             if (success) success.style.display = 'block';
 
             // Hide CAPTCHA container in light DOM
@@ -1234,6 +2470,35 @@
                 '  min-height: 100px;' +
                 '}' +
 
+                '.wtc-select {' +
+                '  cursor: pointer;' +
+                '}' +
+
+                '.wtc-options {' +
+                '  display: flex;' +
+                '  flex-direction: column;' +
+                '  gap: 8px;' +
+                '  padding: 4px 0;' +
+                '  border-radius: var(--wtc-border-radius, 4px);' +
+                '}' +
+
+                '.wtc-field label.wtc-option {' +
+                '  display: flex;' +
+                '  align-items: center;' +
+                '  gap: 8px;' +
+                '  margin-bottom: 0;' +
+                '  font-weight: normal;' +
+                '  cursor: pointer;' +
+                '}' +
+
+                '.wtc-option input {' +
+                '  width: 18px;' +
+                '  height: 18px;' +
+                '  margin: 0;' +
+                '  accent-color: var(--wtc-primary-color, #0176d3);' +
+                '  cursor: pointer;' +
+                '}' +
+
                 '.wtc-file-input {' +
                 '  padding: 8px;' +
                 '  background: #f9f9f9;' +
@@ -1242,6 +2507,59 @@
                 '  cursor: pointer;' +
                 '}' +
 
+                '.wtc-file-list {' +
+                '  list-style: none;' +
+                '  margin: 6px 0 0;' +
+                '  padding: 0;' +
+                '}' +
+
+                '.wtc-file-item {' +
+                '  display: flex;' +
+                '  align-items: center;' +
+                '  gap: 8px;' +
+                '  padding: 6px 8px;' +
+                '  margin-top: 4px;' +
+                '  font-size: 0.8125rem;' +
+                '  background: #f9f9f9;' +
+                '  border: 1px solid #e5e5e5;' +
+                '  border-radius: var(--wtc-border-radius, 4px);' +
+                '}' +
+
+                '.wtc-file-name {' +
+                '  flex: 1;' +
+                '  overflow: hidden;' +
+                '  text-overflow: ellipsis;' +
+                '  white-space: nowrap;' +
+                '}' +
+
+                '.wtc-file-detail {' +
+                '  color: #666;' +
+                '  white-space: nowrap;' +
+                '}' +
+
+                '.wtc-file-complete .wtc-file-detail {' +
+                '  color: var(--wtc-success-color, #2e844a);' +
+                '}' +
+
+                '.wtc-file-error .wtc-file-detail {' +
+                '  color: var(--wtc-error-color, #c23934);' +
+                '  white-space: normal;' +
+                '}' +
+
+                '.wtc-file-remove {' +
+                '  padding: 0 4px;' +
+                '  font-size: 1rem;' +
+                '  line-height: 1;' +
+                '  color: #666;' +
+                '  background: none;' +
+                '  border: none;' +
+                '  cursor: pointer;' +
+                '}' +
+
+                '.wtc-file-summary {' +
+                '  text-align: left;' +
+                '}' +
+
                 '.wtc-help {' +
                 '  font-size: 0.75rem;' +
                 '  color: #666;' +
@@ -1276,6 +2594,57 @@
                 '  position: relative;' +
                 '}' +
 
+                '.wtc-progress {' +
+                '  margin-bottom: var(--wtc-field-spacing, 16px);' +
+                '}' +
+
+                '.wtc-progress-label {' +
+                '  margin-bottom: 6px;' +
+                '  font-size: 0.875rem;' +
+                '  font-weight: 500;' +
+                '  color: var(--wtc-label-color, #333);' +
+                '}' +
+
+                '.wtc-progress-track {' +
+                '  height: 6px;' +
+                '  background: #e5e5e5;' +
+                '  border-radius: 3px;' +
+                '  overflow: hidden;' +
+                '}' +
+
+                '.wtc-progress-bar {' +
+                '  height: 100%;' +
+                '  width: 0;' +
+                '  background: var(--wtc-primary-color, #0176d3);' +
+                '  transition: width 0.2s;' +
+                '}' +
+
+                '.wtc-nav {' +
+                '  display: flex;' +
+                '  gap: 12px;' +
+                '}' +
+
+                '.wtc-nav .wtc-submit {' +
+                '  flex: 1;' +
+                '}' +
+
+                '.wtc-back {' +
+                '  box-sizing: border-box;' +
+                '  padding: var(--wtc-submit-padding, 12px 24px);' +
+                '  font-size: var(--wtc-submit-font-size, 1rem);' +
+                '  font-weight: 600;' +
+                '  font-family: inherit;' +
+                '  color: var(--wtc-primary-color, #0176d3);' +
+                '  background: transparent;' +
+                '  border: 1px solid var(--wtc-primary-color, #0176d3);' +
+                '  border-radius: var(--wtc-submit-border-radius, var(--wtc-border-radius, 4px));' +
+                '  cursor: pointer;' +
+                '}' +
+
+                '.wtc-off-step {' +
+                '  display: none !important;' +
+                '}' +
+
                 '.wtc-error-message {' +
                 '  padding: 12px 16px;' +
                 '  font-size: 0.875rem;' +
@@ -1360,24 +2729,73 @@
     var SubmissionMixin = {
         fetchFormConfig:        FormWidget.prototype.fetchFormConfig,
         processSubmission:      FormWidget.prototype.processSubmission,
+        postSubmission:         FormWidget.prototype.postSubmission,
+        getHoneypotHtml:        FormWidget.prototype.getHoneypotHtml,
+        getHoneypotValue:       FormWidget.prototype.getHoneypotValue,
         submitForm:             FormWidget.prototype.submitForm,
-        submitFormThenUploadChunks: FormWidget.prototype.submitFormThenUploadChunks,
+        submitFormThenUploadFiles: FormWidget.prototype.submitFormThenUploadFiles,
+        uploadFiles:            FormWidget.prototype.uploadFiles,
+        applyServerFileStatus:  FormWidget.prototype.applyServerFileStatus,
+        postToApi:              FormWidget.prototype.postToApi,
         uploadFileInChunks:     FormWidget.prototype.uploadFileInChunks,
         uploadChunkSequentially: FormWidget.prototype.uploadChunkSequentially,
         pollUploadStatus:       FormWidget.prototype.pollUploadStatus,
+        retryUpload:            FormWidget.prototype.retryUpload,
+        resumeUpload:           FormWidget.prototype.resumeUpload,
+        firstMissingChunk:      FormWidget.prototype.firstMissingChunk,
+        waitForRetry:           FormWidget.prototype.waitForRetry,
+        pendingUploadsKey:      FormWidget.prototype.pendingUploadsKey,
+        savePendingUploads:     FormWidget.prototype.savePendingUploads,
+        loadPendingUploads:     FormWidget.prototype.loadPendingUploads,
+        clearPendingUploads:    FormWidget.prototype.clearPendingUploads,
+        showPendingUploadsNotice: FormWidget.prototype.showPendingUploadsNotice,
+        findPendingUpload:      FormWidget.prototype.findPendingUpload,
+        resumePendingUploads:   FormWidget.prototype.resumePendingUploads,
+        prepareFiles:           FormWidget.prototype.prepareFiles,
+        uniqueFileName:         FormWidget.prototype.uniqueFileName,
+        getMaxFileCount:        FormWidget.prototype.getMaxFileCount,
+        addFiles:               FormWidget.prototype.addFiles,
+        getInvalidFileError:    FormWidget.prototype.getInvalidFileError,
+        handleFileListClick:    FormWidget.prototype.handleFileListClick,
+        renderFileList:         FormWidget.prototype.renderFileList,
+        buildFileItem:          FormWidget.prototype.buildFileItem,
+        setFileStatus:          FormWidget.prototype.setFileStatus,
+        resetFileStatuses:      FormWidget.prototype.resetFileStatuses,
+        showFileSummary:        FormWidget.prototype.showFileSummary,
+        formatFileSize:         FormWidget.prototype.formatFileSize,
         compressImageIfNeeded:  FormWidget.prototype.compressImageIfNeeded,
         readFileAsBase64:       FormWidget.prototype.readFileAsBase64,
+        readFileAsArrayBuffer:  FormWidget.prototype.readFileAsArrayBuffer,
         arrayBufferToBase64:    FormWidget.prototype.arrayBufferToBase64,
         generateUUID:           FormWidget.prototype.generateUUID,
         isValidEmail:           FormWidget.prototype.isValidEmail,
+        isValidUrl:             FormWidget.prototype.isValidUrl,
+        validateFieldValue:     FormWidget.prototype.validateFieldValue,
+        getValidationRuleError: FormWidget.prototype.getValidationRuleError,
+        showFieldErrors:        FormWidget.prototype.showFieldErrors,
+        getFieldInputs:         FormWidget.prototype.getFieldInputs,
+        readFieldValue:         FormWidget.prototype.readFieldValue,
+        readAllFieldValues:     FormWidget.prototype.readAllFieldValues,
+        evaluateFieldRules:     FormWidget.prototype.evaluateFieldRules,
+        conditionMatches:       FormWidget.prototype.conditionMatches,
+        validateSteps:          FormWidget.prototype.validateSteps,
+        goToNextStep:           FormWidget.prototype.goToNextStep,
+        goToPreviousStep:       FormWidget.prototype.goToPreviousStep,
+        isLastStep:             FormWidget.prototype.isLastStep,
+        getFieldPage:           FormWidget.prototype.getFieldPage,
+        getPageCount:           FormWidget.prototype.getPageCount,
+        getActivePages:         FormWidget.prototype.getActivePages,
+        getStepPosition:        FormWidget.prototype.getStepPosition,
         isSupportedImage:       FormWidget.prototype.isSupportedImage,
         validateFile:           FormWidget.prototype.validateFile,
+        isAllowedFileType:      FormWidget.prototype.isAllowedFileType,
         escapeHtml:             FormWidget.prototype.escapeHtml,
         getCaptchaToken:        FormWidget.prototype.getCaptchaToken,
         resetCaptcha:           FormWidget.prototype.resetCaptcha,
         refreshNonce:           FormWidget.prototype.refreshNonce,
         loadImageCompression:   FormWidget.prototype.loadImageCompression,
         loadCaptcha:            FormWidget.prototype.loadCaptcha,
+        getCaptchaApi:          FormWidget.prototype.getCaptchaApi,
         renderCaptchaWidget:    FormWidget.prototype.renderCaptchaWidget
     };
 
@@ -1390,6 +2808,8 @@
      * @param {string} options.formSelector - CSS selector for the user's <form>
      * @param {string} options.apiBase - Base URL for REST API
      * @param {string} [options.fileInputSelector] - CSS selector for file <input>
+     *   (selected files and their upload progress are listed in a [data-wtc-file-list] element
+     *   inside the form, and the final result in [data-wtc-file-summary] inside the success container)
      * @param {string} [options.captchaContainerId] - ID of element to render CAPTCHA into
      * @param {string} [options.errorContainerId] - ID of element for error messages
      * @param {string} [options.successContainerId] - ID of element for success state
@@ -1408,8 +2828,15 @@
         this.captchaResolve = null;
         this.captchaLightContainer = null;
         this.imageCompression = null;
+        this.currentPage = null;
         this._submitHandler = null;
+        this._stepHandler = null;
         this._fieldListeners = [];
+        this._fileHandler = null;
+        this._fileListHandler = null;
+        this.selectedFiles = [];
+        this.pendingUploads = null;
+        this.idempotencyKey = null;
     }
 
     ConnectedForm.prototype = {
@@ -1444,9 +2871,14 @@
                 .then(function(config) {
                     self.formConfig = config;
                     self._warnMissingFields(config);
+                    self._addHoneypot();
                     self._attachSubmitHandler();
                     self._attachFieldListeners();
+                    self._attachStepHandler();
+                    self._attachFileHandlers();
+                    self.applyFieldRules();
                     self._loadDependencies();
+                    self.showPendingUploadsNotice();
                     if (self.options.onLoad) {
                         self.options.onLoad();
                     }
@@ -1481,6 +2913,14 @@
             }
         },
 
+        /**
+         * Add the honeypot input to the user's form when the form config asks for one
+         */
+        _addHoneypot: function() {
+            if (!this.formConfig.honeypotField || this.formEl.querySelector('.wtc-hp')) return;
+            this.formEl.insertAdjacentHTML('beforeend', this.getHoneypotHtml());
+        },
+
         /**
          * Attach submit handler to user's form
          */
@@ -1493,6 +2933,73 @@
             this.formEl.addEventListener('submit', this._submitHandler);
         },
 
+        /**
+         * Attach Back/Next handling for multi-step forms. Only used when the form
+         * contains a [data-wtc-next] button and the fields span more than one page.
+         */
+        _attachStepHandler: function() {
+            var self = this;
+            if (!this.formEl.querySelector('[data-wtc-next]') || this.getPageCount(this.formConfig.fields) < 2) {
+                return;
+            }
+            this._stepHandler = function(e) {
+                if (e.target.closest('[data-wtc-next]')) {
+                    e.preventDefault();
+                    self.goToNextStep();
+                } else if (e.target.closest('[data-wtc-back]')) {
+                    e.preventDefault();
+                    self.goToPreviousStep();
+                }
+            };
+            this.formEl.addEventListener('click', this._stepHandler);
+            this.currentPage = this.getActivePages(this.formConfig.fields, this.getRuleState())[0];
+        },
+
+        /**
+         * Collect chosen files into selectedFiles and handle remove buttons in the file list
+         */
+        _attachFileHandlers: function() {
+            var self = this;
+            if (!this.fileInputEl) return;
+
+            this.fileInputEl.multiple = this.getMaxFileCount() > 1;
+            // Keep an accept attribute written into the page's own markup
+            if (this.formConfig.allowedFileTypes && !this.fileInputEl.hasAttribute('accept')) {
+                this.fileInputEl.setAttribute('accept', this.formConfig.allowedFileTypes);
+            }
+            this._fileHandler = function() {
+                self.hideError();
+                self.addFiles(self.fileInputEl.files);
+                // Without a file list the input itself shows the (single) selection
+                if (self.getFileListEl()) {
+                    self.fileInputEl.value = '';
+                }
+            };
+            this.fileInputEl.addEventListener('change', this._fileHandler);
+
+            var list = this.getFileListEl();
+            if (list) {
+                this._fileListHandler = function(e) {
+                    self.handleFileListClick(e);
+                };
+                list.addEventListener('click', this._fileListHandler);
+            }
+        },
+
+        /**
+         * File list element ([data-wtc-file-list] inside the form), if the page has one
+         */
+        getFileListEl: function() {
+            return this.formEl ? this.formEl.querySelector('[data-wtc-file-list]') : null;
+        },
+
+        /**
+         * File summary element ([data-wtc-file-summary] inside the success container), if any
+         */
+        getFileSummaryEl: function() {
+            return this.successEl ? this.successEl.querySelector('[data-wtc-file-summary]') : null;
+        },
+
         /**
          * Clear connect-mode errors/aria state while user edits fields
          */
@@ -1506,6 +3013,7 @@
                 var clearHandler = function() {
                     this.removeAttribute('aria-invalid');
                     self.hideError();
+                    self.applyFieldRules();
                 };
 
                 field.addEventListener('input', clearHandler);
@@ -1517,6 +3025,117 @@
             }
         },
 
+        /**
+         * Show/hide conditional fields in the user's form.
+         * The closest ancestor with a data-wtc-field attribute is hidden if there is one,
+         * otherwise the inputs themselves. aria-required follows the effective required state.
+         */
+        applyFieldRules: function() {
+            var config = this.formConfig;
+            if (!config || !config.fields) return;
+
+            var ruleState = this.getRuleState();
+            for (var i = 0; i < config.fields.length; i++) {
+                var field = config.fields[i];
+                var state = ruleState[field.caseField.toLowerCase()];
+                var inputs = this.getFieldInputs(this.formEl, field);
+                if (inputs.length === 0) continue;
+
+                var wrapper = inputs[0].closest('[data-wtc-field]');
+                var targets = wrapper ? [wrapper] : inputs;
+                for (var t = 0; t < targets.length; t++) {
+                    targets[t].hidden = !state.visible;
+                }
+                for (var j = 0; j < inputs.length; j++) {
+                    if (state.required) {
+                        inputs[j].setAttribute('aria-required', 'true');
+                    } else {
+                        inputs[j].removeAttribute('aria-required');
+                    }
+                }
+            }
+
+            // A rule change can add or remove steps
+            if (this.isMultiStep()) {
+                this.showStep(this.currentPage);
+            }
+        },
+
+        /**
+         * Evaluate conditional rules against the current values in the user's form
+         */
+        getRuleState: function() {
+            return this.evaluateFieldRules(this.formConfig.fields || [], this.readAllFieldValues(this.formEl));
+        },
+
+        /**
+         * Whether step navigation was attached
+         */
+        isMultiStep: function() {
+            return this._stepHandler !== null;
+        },
+
+        /**
+         * Show one page of the user's multi-step form.
+         * [data-wtc-page="N"] containers are shown only for the current page; fields outside
+         * such a container are hidden through their [data-wtc-field] wrapper or inputs.
+         * [data-wtc-final-step] and the submit button only show on the last step,
+         * [data-wtc-back]/[data-wtc-next] are toggled, and [data-wtc-progress] (a <progress>
+         * or any element) and [data-wtc-step-label] are updated.
+         */
+        showStep: function(page) {
+            var pages = this.getActivePages(this.formConfig.fields, this.getRuleState());
+            var position = this.getStepPosition(pages, page);
+            var form = this.formEl;
+            var i;
+            // If rules emptied the requested page, land on the next active one
+            page = pages[position.step - 1];
+            this.currentPage = page;
+
+            var containers = form.querySelectorAll('[data-wtc-page]');
+            for (i = 0; i < containers.length; i++) {
+                containers[i].style.display = parseInt(containers[i].getAttribute('data-wtc-page'), 10) === page ? '' : 'none';
+            }
+
+            for (i = 0; i < this.formConfig.fields.length; i++) {
+                var field = this.formConfig.fields[i];
+                var inputs = this.getFieldInputs(form, field);
+                if (inputs.length === 0 || inputs[0].closest('[data-wtc-page]')) continue;
+                var wrapper = inputs[0].closest('[data-wtc-field]');
+                var targets = wrapper ? [wrapper] : inputs;
+                for (var t = 0; t < targets.length; t++) {
+                    targets[t].style.display = this.getFieldPage(field) === page ? '' : 'none';
+                }
+            }
+
+            var toggle = function(selector, visible) {
+                var elements = form.querySelectorAll(selector);
+                for (var e = 0; e < elements.length; e++) {
+                    elements[e].style.display = visible ? '' : 'none';
+                }
+            };
+            toggle('[data-wtc-final-step], [type="submit"]', position.isLast);
+            toggle('[data-wtc-back]', !position.isFirst);
+            toggle('[data-wtc-next]', !position.isLast);
+            if (this.captchaLightContainer) {
+                this.captchaLightContainer.style.display = position.isLast ? '' : 'none';
+            }
+
+            var progress = form.querySelectorAll('[data-wtc-progress]');
+            for (i = 0; i < progress.length; i++) {
+                if (progress[i].tagName === 'PROGRESS') {
+                    progress[i].max = position.total;
+                    progress[i].value = position.step;
+                } else {
+                    progress[i].style.width = Math.round((position.step / position.total) * 100) + '%';
+                }
+            }
+            var labels = form.querySelectorAll('[data-wtc-step-label]');
+            for (i = 0; i < labels.length; i++) {
+                labels[i].textContent = 'Step ' + position.step + ' of ' + position.total;
+            }
+        },
+
         /**
          * Remove field listeners (used on destroy/re-init)
          */
@@ -1538,6 +3157,10 @@
             }
             if (this.formConfig.enableCaptcha && this.formConfig.captchaSiteKey) {
                 this.loadCaptcha();
+                // The CAPTCHA container only belongs on the last step
+                if (this.isMultiStep()) {
+                    this.showStep(this.currentPage);
+                }
             }
         },
 
@@ -1549,8 +3172,23 @@
             var config = this.formConfig;
             this.hideError();
 
+            // After a reload, choosing the files whose upload was interrupted finishes that upload
+            if (this.pendingUploads) {
+                if (this.resumePendingUploads(this.selectedFiles)) {
+                    return;
+                }
+                // None of the chosen files were being uploaded: this is a new request
+                this.clearPendingUploads();
+            }
+
+            // On a multi-step form, Enter on an earlier step moves forward instead of submitting
+            if (this.isMultiStep() && !this.isLastStep()) {
+                this.goToNextStep();
+                return;
+            }
+
             // Validate form
-            var errors = this.validateForm();
+            var errors = this.validateSteps();
             if (errors.length > 0) {
                 this.showFormError(errors.join('<br>'));
                 return;
@@ -1559,12 +3197,13 @@
             // Validate CAPTCHA (v2 checkbox)
             var captchaType = config.captchaType || 'V2_Checkbox';
             if (config.enableCaptcha && captchaType === 'V2_Checkbox') {
-                if (typeof grecaptcha === 'undefined' || this.captchaWidgetId === null) {
+                var captchaApi = this.getCaptchaApi();
+                if (!captchaApi || this.captchaWidgetId === null) {
                     this.showFormError('Verification is still loading. Please try again.');
                     return;
                 }
 
-                var token = grecaptcha.getResponse(this.captchaWidgetId);
+                var token = captchaApi.getResponse(this.captchaWidgetId);
                 if (!token) {
                     this.showFormError('Please complete the verification.');
                     return;
@@ -1574,19 +3213,12 @@
             // Collect field values
             var fieldValues = this.collectFieldValues();
 
-            // Get file
-            var file = null;
-            if (this.fileInputEl && this.fileInputEl.files && this.fileInputEl.files.length > 0) {
-                file = this.fileInputEl.files[0];
-            }
-
-            // Validate file
-            if (file) {
-                var fileValidation = this.validateFile(file);
-                if (!fileValidation.valid) {
-                    this.showFormError(fileValidation.error);
-                    return;
-                }
+            // Files that failed validation (see addFiles) must be removed before submitting
+            var files = this.selectedFiles;
+            var fileError = this.getInvalidFileError(files);
+            if (fileError) {
+                this.showFormError(fileError);
+                return;
             }
 
             this.setLoading(true);
@@ -1599,7 +3231,7 @@
                         self.showFormError('Verification failed. Please try again.');
                         return;
                     }
-                    self.processSubmission(fieldValues, file, captchaToken);
+                    self.processSubmission(fieldValues, files, captchaToken);
                 })
                 .catch(function(err) {
                     self.setLoading(false);
@@ -1611,32 +3243,40 @@
         /**
          * Validate form fields using form config + user's DOM
          */
-        validateForm: function() {
+        validateForm: function(page) {
             var errors = [];
             var config = this.formConfig;
             if (!config.fields) return errors;
+            var ruleState = this.getRuleState();
 
             for (var i = 0; i < config.fields.length; i++) {
                 var field = config.fields[i];
-                if (!field.required) continue;
-
-                var input = this.formEl.querySelector('[name="' + field.caseField + '"]');
-                if (!input) continue;
+                var state = ruleState[field.caseField.toLowerCase()];
+                var inputs = this.getFieldInputs(this.formEl, field);
+                if (inputs.length === 0 || !state.visible) continue;
+                if (page !== undefined && this.getFieldPage(field) !== page) continue;
+
+                var error = this.validateFieldValue(field, this.readFieldValue(inputs, field), state.required);
+                this.markFieldInvalid(inputs, !!error);
+                if (error) {
+                    errors.push(error);
+                }
+            }
 
-                var value = input.value.trim();
+            return errors;
+        },
 
-                if (!value) {
-                    errors.push(field.label + ' is required.');
-                    input.setAttribute('aria-invalid', 'true');
-                } else if (field.type === 'Email' && !this.isValidEmail(value)) {
-                    errors.push('Please enter a valid email address.');
-                    input.setAttribute('aria-invalid', 'true');
+        /**
+         * Set (or clear) aria-invalid on a field's inputs
+         */
+        markFieldInvalid: function(inputs, invalid) {
+            for (var i = 0; i < inputs.length; i++) {
+                if (invalid) {
+                    inputs[i].setAttribute('aria-invalid', 'true');
                 } else {
-                    input.removeAttribute('aria-invalid');
+                    inputs[i].removeAttribute('aria-invalid');
                 }
             }
-
-            return errors;
         },
 
         /**
@@ -1646,12 +3286,14 @@
             var values = {};
             var config = this.formConfig;
             if (!config.fields) return values;
+            var ruleState = this.getRuleState();
 
             for (var i = 0; i < config.fields.length; i++) {
                 var field = config.fields[i];
-                var input = this.formEl.querySelector('[name="' + field.caseField + '"]');
-                if (input) {
-                    values[field.caseField] = input.value.trim();
+                var inputs = this.getFieldInputs(this.formEl, field);
+                // Hidden conditional fields are not submitted
+                if (inputs.length > 0 && ruleState[field.caseField.toLowerCase()].visible) {
+                    values[field.caseField] = this.readFieldValue(inputs, field);
                 }
             }
 
@@ -1718,7 +3360,7 @@
                 this.successEl.hidden = false;
                 var caseSpan = this.successEl.querySelector('[data-wtc-case-number]');
                 if (caseSpan) {
-                    caseSpan.textContent = caseNumber;
+                    caseSpan.textContent = caseNumber || '';
                 }
             }
             if (this.captchaLightContainer) {
@@ -1741,6 +3383,19 @@
                 this.formEl.removeEventListener('submit', this._submitHandler);
                 this._submitHandler = null;
             }
+            if (this.formEl && this._stepHandler) {
+                this.formEl.removeEventListener('click', this._stepHandler);
+                this._stepHandler = null;
+            }
+            if (this.fileInputEl && this._fileHandler) {
+                this.fileInputEl.removeEventListener('change', this._fileHandler);
+                this._fileHandler = null;
+            }
+            var fileList = this.getFileListEl();
+            if (fileList && this._fileListHandler) {
+                fileList.removeEventListener('click', this._fileListHandler);
+                this._fileListHandler = null;
+            }
             this._removeFieldListeners();
             // Clean up CAPTCHA globals
             if (window.wtcCaptchaOnload) {